@@ -92,8 +92,17 @@ var
     numberFormatProtoInitialised = false,
     dateTimeFormatProtoInitialised = false,
 
+    // Packed IANA time zone data added using Intl.__addTimeZoneData(), keyed by zone
+    // name.  Zones are unpacked the first time they're used.
+    tzData = objCreate(null),
+
+    // Maps the upper case form of each zone and link name to the canonical zone name
+    tzNames = objCreate(null),
+
+    // The CLDR metazones used by each zone over time, for localized time zone names
+    tzMetazones = objCreate(null),
+
     // Some regular expressions we're using
-    expInsertGroups = /(?=(?!^)(?:\d{3})+(?!\d))/g,
     expCurrencyCode = /^[A-Z]{3}$/,
     expUnicodeExSeq = /-u(?:-[0-9a-z]{2,8})+/gi, // See `extension` below
 
@@ -186,11 +195,35 @@ var
         }
     },
 
-    // Currency minor units output from tools/getISO4217data.js, formatted
+    // Currency minor units output from tools/getIntlData.js 4217, formatted
     currencyMinorUnits = {
-        BHD: 3, BYR: 0, XOF: 0, BIF: 0, XAF: 0, CLF: 0, CLP: 0, KMF: 0, DJF: 0,
-        XPF: 0, GNF: 0, ISK: 0, IQD: 3, JPY: 0, JOD: 3, KRW: 0, KWD: 3, LYD: 3,
-        OMR: 3, PYG: 0, RWF: 0, TND: 3, UGX: 0, UYI: 0, VUV: 0, VND: 0
+        BHD: 3, BIF: 0, CLF: 4, CLP: 0, DJF: 0, GNF: 0, IQD: 3, ISK: 0, JOD: 3,
+        JPY: 0, KMF: 0, KRW: 0, KWD: 3, LYD: 3, OMR: 3, PYG: 0, RWF: 0, TND: 3,
+        UGX: 0, UYI: 0, UYW: 4, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0
+    },
+
+    // The digits and rounding of currencies from CLDR's currency data, output from
+    // tools/getIntlData.js currencies.  Each is [ digits, rounding, cashDigits,
+    // cashRounding ], and currencies with 2 digits and no rounding are left out.
+    currencyFractions = {
+        ADP: [ 0, 0, 0, 0 ], AFN: [ 0, 0, 0, 0 ], ALL: [ 0, 0, 0, 0 ], AMD: [ 2, 0, 0, 0 ],
+        BHD: [ 3, 0, 3, 0 ], BIF: [ 0, 0, 0, 0 ], BYR: [ 0, 0, 0, 0 ], CAD: [ 2, 0, 2, 5 ],
+        CHF: [ 2, 0, 2, 5 ], CLF: [ 4, 0, 4, 0 ], CLP: [ 0, 0, 0, 0 ], COP: [ 0, 0, 0, 0 ],
+        CRC: [ 2, 0, 0, 0 ], CZK: [ 2, 0, 0, 0 ], DJF: [ 0, 0, 0, 0 ], DKK: [ 2, 0, 2, 50 ],
+        ESP: [ 0, 0, 0, 0 ], GNF: [ 0, 0, 0, 0 ], GYD: [ 2, 0, 0, 0 ], HUF: [ 0, 0, 0, 5 ],
+        IDR: [ 0, 0, 0, 0 ], IQD: [ 0, 0, 0, 0 ], IRR: [ 0, 0, 0, 0 ], ISK: [ 0, 0, 0, 0 ],
+        ITL: [ 0, 0, 0, 0 ], JOD: [ 3, 0, 3, 0 ], JPY: [ 0, 0, 0, 0 ], KMF: [ 0, 0, 0, 0 ],
+        KPW: [ 0, 0, 0, 0 ], KRW: [ 0, 0, 0, 0 ], KWD: [ 3, 0, 3, 0 ], LAK: [ 0, 0, 0, 0 ],
+        LBP: [ 0, 0, 0, 0 ], LUF: [ 0, 0, 0, 0 ], LYD: [ 3, 0, 3, 0 ], MGA: [ 0, 0, 0, 0 ],
+        MGF: [ 0, 0, 0, 0 ], MMK: [ 0, 0, 0, 0 ], MNT: [ 2, 0, 0, 0 ], MRO: [ 0, 0, 0, 0 ],
+        MUR: [ 2, 0, 0, 0 ], NOK: [ 2, 0, 0, 0 ], OMR: [ 3, 0, 3, 0 ], PKR: [ 0, 0, 0, 0 ],
+        PYG: [ 0, 0, 0, 0 ], RSD: [ 2, 0, 0, 0 ], RWF: [ 0, 0, 0, 0 ], SEK: [ 2, 0, 0, 0 ],
+        SLL: [ 0, 0, 0, 0 ], SOS: [ 0, 0, 0, 0 ], STD: [ 0, 0, 0, 0 ], SYP: [ 0, 0, 0, 0 ],
+        TMM: [ 0, 0, 0, 0 ], TND: [ 3, 0, 3, 0 ], TRL: [ 0, 0, 0, 0 ], TWD: [ 2, 0, 0, 0 ],
+        TZS: [ 2, 0, 0, 0 ], UGX: [ 0, 0, 0, 0 ], UYI: [ 0, 0, 0, 0 ], UYW: [ 4, 0, 4, 0 ],
+        UZS: [ 2, 0, 0, 0 ], VEF: [ 2, 0, 0, 0 ], VND: [ 0, 0, 0, 0 ], VUV: [ 0, 0, 0, 0 ],
+        XAF: [ 0, 0, 0, 0 ], XOF: [ 0, 0, 0, 0 ], XPF: [ 0, 0, 0, 0 ], YER: [ 0, 0, 0, 0 ],
+        ZMK: [ 0, 0, 0, 0 ], ZWD: [ 0, 0, 0, 0 ]
     };
 
 /**
@@ -455,6 +488,102 @@ function /* 6.3.1 */IsWellFormedCurrencyCode(currency) {
     return true;
 }
 
+// Sect 6.4 Time Zone Names
+// =========================
+// Not part of ECMA-402 1.0, which only requires "UTC", but following the steps of
+// later editions for implementations that accept IANA time zone names
+
+/**
+ * The IsValidTimeZoneName abstract operation verifies that the timeZone argument
+ * (which must be a String value) represents a valid Zone or Link name of the IANA
+ * Time Zone Database. Zone and link names are compared case-insensitively, using
+ * the upper case mapping described in 6.1.
+ */
+function /* 6.4.1 */IsValidTimeZoneName(timeZone) {
+    var upper = toLatinUpperCase(timeZone);
+
+    // "UTC" is always supported, even when no time zone data has been added
+    return upper === 'UTC' || hop.call(tzNames, upper);
+}
+
+/**
+ * The CanonicalizeTimeZoneName abstract operation returns the canonical and case-
+ * regularized form of the timeZone argument (which must be a String value that is
+ * a valid time zone name as verified by the IsValidTimeZoneName abstract operation).
+ */
+function /* 6.4.2 */CanonicalizeTimeZoneName(timeZone) {
+    var
+        // 1. Let ianaTimeZone be the Zone or Link name of the IANA Time Zone Database
+        //    such that timeZone, converted to upper case as described in 6.1, is equal
+        //    to ianaTimeZone, converted to upper case as described in 6.1.
+        // 2. If ianaTimeZone is a Link name, then let ianaTimeZone be the
+        //    corresponding Zone name as specified in the "backward" file of the IANA
+        //    Time Zone Database.
+        ianaTimeZone = tzNames[toLatinUpperCase(timeZone)];
+
+    // 3. If ianaTimeZone is "Etc/UTC" or "Etc/GMT", then return "UTC".
+    if (ianaTimeZone === undefined || ianaTimeZone === 'Etc/UTC' || ianaTimeZone === 'Etc/GMT')
+        return 'UTC';
+
+    // 4. Return ianaTimeZone.
+    return ianaTimeZone;
+}
+
+// Sect 6.5 Measurement Unit Identifiers
+// =====================================
+// Not part of ECMA-402 1.0, but following the steps of later editions, which
+// sanction a subset of the CLDR unit identifiers for the "unit" style of NumberFormat
+
+/**
+ * The simple unit identifiers that are sanctioned for use in ECMAScript, without
+ * their CLDR category prefix, e.g. "kilometer" rather than "length-kilometer".
+ */
+var sanctionedUnits = arrJoin.call([
+    'acre', 'bit', 'byte', 'celsius', 'centimeter', 'day', 'degree', 'fahrenheit',
+    'fluid-ounce', 'foot', 'gallon', 'gigabit', 'gigabyte', 'gram', 'hectare', 'hour',
+    'inch', 'kilobit', 'kilobyte', 'kilogram', 'kilometer', 'liter', 'megabit',
+    'megabyte', 'meter', 'microsecond', 'mile', 'mile-scandinavian', 'milliliter',
+    'millimeter', 'millisecond', 'minute', 'month', 'nanosecond', 'ounce', 'percent',
+    'petabyte', 'pound', 'second', 'stone', 'terabit', 'terabyte', 'week', 'yard', 'year'
+], '|');
+
+/**
+ * The IsSanctionedSimpleUnitIdentifier abstract operation verifies that the
+ * unitIdentifier argument (which must be a String value) is one of the simple unit
+ * identifiers above.
+ */
+function /* 6.5.1 */IsSanctionedSimpleUnitIdentifier(unitIdentifier) {
+    return unitIdentifier.indexOf('|') < 0 && ('|' + sanctionedUnits + '|').indexOf('|' + unitIdentifier + '|') > -1;
+}
+
+/**
+ * The IsWellFormedUnitIdentifier abstract operation verifies that the unitIdentifier
+ * argument (which must be a String value) represents a well-formed simple or
+ * compound unit identifier, e.g. "kilometer" or "kilometer-per-hour".
+ */
+function /* 6.5.2 */IsWellFormedUnitIdentifier(unitIdentifier) {
+    // 1. If the result of IsSanctionedSimpleUnitIdentifier(unitIdentifier) is true,
+    //    then return true.
+    if (IsSanctionedSimpleUnitIdentifier(unitIdentifier))
+        return true;
+
+    var
+    // 2. If the substring "-per-" does not occur exactly once in unitIdentifier,
+    //    then return false.
+        idx = unitIdentifier.indexOf('-per-');
+
+    if (idx < 0 || unitIdentifier.indexOf('-per-', idx + 1) > -1)
+        return false;
+
+    // 3. Let numerator be the substring of unitIdentifier from the beginning to just
+    //    before "-per-", and denominator the substring just after "-per-" to the end.
+    // 4. If the results of IsSanctionedSimpleUnitIdentifier(numerator) and
+    //    IsSanctionedSimpleUnitIdentifier(denominator) are both true, then return
+    //    true, else return false.
+    return IsSanctionedSimpleUnitIdentifier(unitIdentifier.slice(0, idx))
+        && IsSanctionedSimpleUnitIdentifier(unitIdentifier.slice(idx + 5));
+}
+
 // Sect 9.2 Abstract Operations
 // ============================
 function /* 9.2.1 */CanonicalizeLocaleList (locales) {
@@ -784,6 +913,15 @@ function /* 9.2.5 */ResolveLocale (availableLocales, requestedLocales, options,
                         //    internal method of extensionSubtags with argument
                         //    ToString(keyPos + 1).
                         requestedValue = extensionSubtags[keyPos + 1],
+                        // The keywords that stand for a value in the locale data,
+                        // e.g. "native", "traditio" or "finance" for the 'nu' key.
+                        // The value itself is used in the locale and resolvedOptions.
+                        keywords = foundLocaleData[key + 'Keywords'];
+
+                    if (keywords && hop.call(keywords, requestedValue))
+                        requestedValue = keywords[requestedValue];
+
+                    var
                         // b. Let valuePos be the result of calling the [[Call]]
                         //    internal method of indexOf with keyLocaleData as the
                         //    this value and an argument list containing the single
@@ -1053,6 +1191,39 @@ function /* 9.2.10 */GetNumberOption (options, property, minimum, maximum, fallb
     return fallback;
 }
 
+/**
+ * The GetBooleanOrStringNumberFormatOption abstract operation of later editions
+ * extracts a property value that is a Boolean or one of a List of allowed strings,
+ * e.g. useGrouping, and fills in a fallback value if necessary.
+ */
+function GetBooleanOrStringNumberFormatOption (options, property, stringValues, fallback) {
+    var
+        // 1. Let value be ? Get(options, property).
+        value = options[property];
+
+    // 2. If value is undefined, return fallback.
+    if (value === undefined)
+        return fallback;
+
+    // 3. If value is true, return true.
+    if (value === true)
+        return true;
+
+    // 4. If ToBoolean(value) is false, return false.
+    if (!value)
+        return false;
+
+    // 5. Let value be ? ToString(value).
+    value = String(value);
+
+    // 6. If stringValues does not contain value, throw a RangeError exception.
+    if (arrIndexOf.call(stringValues, value) === -1)
+        throw new RangeError("'" + value + "' is not an allowed value for `" + property +'`');
+
+    // 7. Return value.
+    return value;
+}
+
 // 11.1 The Intl.NumberFormat constructor
 // ======================================
 
@@ -1163,6 +1334,9 @@ function /*11.1.1.1 */InitializeNumberFormat (numberFormat, locales, options) {
     //     of r.[[nu]].
     internal['[[numberingSystem]]'] = r['[[nu]]'];
 
+    // The measurement system, "metric", "ussystem" or "uksystem", from the 'ms' key
+    internal['[[measurementSystem]]'] = r['[[ms]]'];
+
     // The specification doesn't tell us to do this, but it's helpful later on
     internal['[[dataLocale]]'] = r['[[dataLocale]]'];
 
@@ -1173,7 +1347,8 @@ function /*11.1.1.1 */InitializeNumberFormat (numberFormat, locales, options) {
     // 15. Let s be the result of calling the GetOption abstract operation with the
     //     arguments options, "style", "string", a List containing the three String
     //     values "decimal", "percent", and "currency", and "decimal".
-        s = GetOption(options, 'style', 'string', new List('decimal', 'percent', 'currency'), 'decimal');
+    //     NOTE: Later editions add "unit" to the List.
+        s = GetOption(options, 'style', 'string', new List('decimal', 'percent', 'currency', 'unit'), 'decimal');
 
     // 16. Set the [[style]] internal property of numberFormat to s.
     internal['[[style]]'] = s;
@@ -1211,7 +1386,8 @@ function /*11.1.1.1 */InitializeNumberFormat (numberFormat, locales, options) {
     // 21. Let cd be the result of calling the GetOption abstract operation with the
     //     arguments options, "currencyDisplay", "string", a List containing the
     //     three String values "code", "symbol", and "name", and "symbol".
-        cd = GetOption(options, 'currencyDisplay', 'string', new List('code', 'symbol', 'name'), 'symbol');
+    //     NOTE: Later editions add "narrowSymbol", e.g. "$" rather than "US$".
+        cd = GetOption(options, 'currencyDisplay', 'string', new List('code', 'symbol', 'narrowSymbol', 'name'), 'symbol');
 
     // 22. If s is "currency", then set the [[currencyDisplay]] internal property of
     //     numberFormat to cd.
@@ -1219,75 +1395,184 @@ function /*11.1.1.1 */InitializeNumberFormat (numberFormat, locales, options) {
         internal['[[currencyDisplay]]'] = cd;
 
     var
-    // 23. Let mnid be the result of calling the GetNumberOption abstract operation
-    //     (defined in 9.2.10) with arguments options, "minimumIntegerDigits", 1, 21,
-    //     and 1.
-        mnid = GetNumberOption(options, 'minimumIntegerDigits', 1, 21, 1);
+    // Not part of ECMA-402 1.0, the currencySign option of later editions chooses
+    // between the standard and accounting currency patterns, e.g. -$1.00 and ($1.00)
+        cs = GetOption(options, 'currencySign', 'string', new List('standard', 'accounting'), 'standard');
 
-    // 24. Set the [[minimumIntegerDigits]] internal property of numberFormat to mnid.
-    internal['[[minimumIntegerDigits]]'] = mnid;
+    if (s === 'currency')
+        internal['[[currencySign]]'] = cs;
 
     var
-    // 25. If s is "currency", then let mnfdDefault be cDigits; else let mnfdDefault
-    //     be 0.
-        mnfdDefault = s === 'currency' ? cDigits : 0,
+    // Not part of ECMA-402 1.0, the currencyUsage option, as in ICU, is "standard" or
+    // "cash" for the digits and rounding increment of the currency's cash, e.g. 0.05
+    // for CHF, from CLDR's currency data
+        cu = GetOption(options, 'currencyUsage', 'string', new List('standard', 'cash'), 'standard'),
 
-    // 26. Let mnfd be the result of calling the GetNumberOption abstract operation
-    //     with arguments options, "minimumFractionDigits", 0, 20, and mnfdDefault.
-        mnfd = GetNumberOption(options, 'minimumFractionDigits', 0, 20, mnfdDefault);
+    // The currency's rounding increment, see roundingIncrement below
+        cRounding = 0;
 
-    // 27. Set the [[minimumFractionDigits]] internal property of numberFormat to mnfd.
-    internal['[[minimumFractionDigits]]'] = mnfd;
+    if (s === 'currency') {
+        internal['[[currencyUsage]]'] = cu;
+
+        // The standard digits stay the ISO 4217 minor unit of CurrencyDigits
+        if (hop.call(currencyFractions, c)) {
+            if (cu === 'cash')
+                cDigits = currencyFractions[c][2];
+
+            cRounding = currencyFractions[c][cu === 'cash' ? 3 : 1];
+        }
+    }
+
+    var
+    // Not part of ECMA-402 1.0, later editions add the "unit" style, which formats a
+    // measurement in a simple or compound unit, e.g. "5 km" or "5 km/h"
+        unit = GetOption(options, 'unit', 'string');
+
+    // If unit is not undefined and is not a well-formed unit identifier (see 6.5.2),
+    // then throw a RangeError exception.
+    if (unit !== undefined && !IsWellFormedUnitIdentifier(unit))
+        throw new RangeError("'" + unit + "' is not a valid unit identifier");
+
+    // If s is "unit" and unit is undefined, throw a TypeError exception.
+    if (s === 'unit' && unit === undefined)
+        throw new TypeError('Unit is required when style is unit');
+
+    var
+    // The unitDisplay option is "short" (5 km), "narrow" (5km) or "long" (5 kilometers)
+        unitDisplay = GetOption(options, 'unitDisplay', 'string', new List('short', 'narrow', 'long'), 'short');
+
+    var
+    // The usage option converts the number from the unit to the unit that the locale's
+    // region (or the 'ms' key) prefers for the usage, e.g. "road" or "person", as in
+    // CLDR's unit preferences.  "default" is the preference for any usage.
+        usage = GetOption(options, 'usage', 'string');
+
+    if (usage !== undefined && !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(usage))
+        throw new RangeError("'" + usage + "' is not a valid unit usage");
+
+    if (s === 'unit') {
+        internal['[[unit]]'] = unit;
+        internal['[[unitDisplay]]'] = unitDisplay;
+
+        if (usage !== undefined)
+            internal['[[usage]]'] = usage;
+    }
+
+    var
+    // Not part of ECMA-402 1.0, later editions add a notation option.  Scientific
+    // and engineering notation use an exponent, e.g. 1.23E4 and 12.3E3, where the
+    // exponent of engineering notation is a multiple of 3.  Compact notation
+    // abbreviates numbers with the locale's patterns, e.g. 1.2K or 1.2万.
+        notation = GetOption(options, 'notation', 'string',
+                        new List('standard', 'scientific', 'engineering', 'compact'), 'standard');
+
+    internal['[[notation]]'] = notation;
 
     var
+    // Not part of ECMA-402 1.0, the roundingIncrement option of later editions rounds
+    // to a multiple of the increment at the last fraction digit, e.g. 5 with 2 fraction
+    // digits rounds to 0.05.  It's one of the values of roundingIncrements.
+        ri = GetNumberOption(options, 'roundingIncrement', 1, 5000, 1);
+
+    if (arrIndexOf.call(roundingIncrements, ri) < 0)
+        throw new RangeError('roundingIncrement must be one of ' + arrJoin.call(roundingIncrements, ', '));
+
+    var
+    // 25. If s is "currency", then let mnfdDefault be cDigits; else let mnfdDefault
+    //     be 0.
+        mnfdDefault = s === 'currency' ? cDigits : 0,
+
     // 28. If s is "currency", then let mxfdDefault be max(mnfd, cDigits); else if s
     //     is "percent", then let mxfdDefault be max(mnfd, 0); else let mxfdDefault
     //     be max(mnfd, 3).
-        mxfdDefault = s === 'currency' ? Math.max(mnfd, cDigits)
-                    : (s === 'percent' ? Math.max(mnfd, 0) : Math.max(mnfd, 3)),
+    //     NOTE: SetNumberFormatDigitOptions takes the max with mnfd.  With a
+    //           roundingIncrement, the default is max(mnfd, mnfdDefault), as the
+    //           increment needs the same minimum and maximum fraction digits.
+        mxfdDefault = s === 'currency' || ri !== 1 ? mnfdDefault : (s === 'percent' ? 0 : 3);
+
+    // 23, 24, 26, 27 and 29 to 33. Perform SetNumberFormatDigitOptions(numberFormat,
+    // options, mnfdDefault, mxfdDefault).
+    SetNumberFormatDigitOptions(internal, options, mnfdDefault, mxfdDefault);
+
+    var mnfd = internal['[[minimumFractionDigits]]'],
+        mxfd = internal['[[maximumFractionDigits]]'];
+
+    // Compact notation without any digit options rounds to an integer, or to 2
+    // significant digits when there's only 1 integer digit, e.g. 12K and 1.2K
+    internal['[[compactRounding]]'] = notation === 'compact' && !hop.call(internal, '[[minimumSignificantDigits]]')
+                    && options.minimumFractionDigits === undefined && options.maximumFractionDigits === undefined;
+
+    // Without a roundingIncrement, the currency's is used when the number has the
+    // currency's digits, e.g. 5 for 0.05 with 2 digits
+    if (ri === 1 && cRounding > 1 && arrIndexOf.call(roundingIncrements, cRounding) > -1
+            && mnfd === cDigits && mxfd === cDigits
+            && !hop.call(internal, '[[minimumSignificantDigits]]') && !internal['[[compactRounding]]'])
+        ri = cRounding;
+
+    // The increment is of the last fraction digit, so it can't be used with significant
+    // digits or compact rounding, and needs as many minimum as maximum fraction digits
+    if (ri !== 1) {
+        if (hop.call(internal, '[[minimumSignificantDigits]]') || internal['[[compactRounding]]'])
+            throw new TypeError('roundingIncrement can only be used with fraction digits');
+
+        if (mxfd !== mnfd)
+            throw new RangeError('roundingIncrement needs equal minimumFractionDigits and maximumFractionDigits');
+    }
 
-    // 29. Let mxfd be the result of calling the GetNumberOption abstract operation
-    //     with arguments options, "maximumFractionDigits", mnfd, 20, and mxfdDefault.
-        mxfd = GetNumberOption(options, 'maximumFractionDigits', mnfd, 20, mxfdDefault);
+    internal['[[roundingIncrement]]'] = ri;
 
-    // 30. Set the [[maximumFractionDigits]] internal property of numberFormat to mxfd.
-    internal['[[maximumFractionDigits]]'] = mxfd;
+    var
+    // The roundingMode option of later editions is how numbers are rounded, which is
+    // "halfExpand" (away from zero at the half) in ECMA-402 1.0
+        rm = GetOption(options, 'roundingMode', 'string', new List('ceil', 'floor', 'expand', 'trunc',
+                'halfCeil', 'halfFloor', 'halfExpand', 'halfTrunc', 'halfEven'), 'halfExpand');
+
+    internal['[[roundingMode]]'] = rm;
 
     var
-    // 31. Let mnsd be the result of calling the [[Get]] internal method of options
-    //     with argument "minimumSignificantDigits".
-        mnsd = options.minimumSignificantDigits,
+    // The trailingZeroDisplay option of later editions is "auto", for the minimum
+    // fraction digits, or "stripIfInteger" to have no fraction digits for integers
+        tzd = GetOption(options, 'trailingZeroDisplay', 'string', new List('auto', 'stripIfInteger'), 'auto');
 
-    // 32. Let mxsd be the result of calling the [[Get]] internal method of options
-    //     with argument "maximumSignificantDigits".
-        mxsd = options.maximumSignificantDigits;
+    internal['[[trailingZeroDisplay]]'] = tzd;
 
-    // 33. If mnsd is not undefined or mxsd is not undefined, then:
-    if (mnsd !== undefined || mxsd !== undefined) {
-        // a. Let mnsd be the result of calling the GetNumberOption abstract
-        //    operation with arguments options, "minimumSignificantDigits", 1, 21,
-        //    and 1.
-        mnsd = GetNumberOption(options, 'minimumSignificantDigits', 1, 21, 1);
+    var
+    // The compactDisplay option of later editions is "short" (1.2K) or "long"
+    // (1.2 thousand), and only used in compact notation
+        compactDisplay = GetOption(options, 'compactDisplay', 'string', new List('short', 'long'), 'short');
 
-        // b. Let mxsd be the result of calling the GetNumberOption abstract
-        //     operation with arguments options, "maximumSignificantDigits", mnsd,
-        //     21, and 21.
-        mxsd = GetNumberOption(options, 'maximumSignificantDigits', mnsd, 21, 21);
+    if (notation === 'compact')
+        internal['[[compactDisplay]]'] = compactDisplay;
 
-        // c. Set the [[minimumSignificantDigits]] internal property of numberFormat
-        //    to mnsd, and the [[maximumSignificantDigits]] internal property of
-        //    numberFormat to mxsd.
-        internal['[[minimumSignificantDigits]]'] = mnsd;
-        internal['[[maximumSignificantDigits]]'] = mxsd;
-    }
     var
     // 34. Let g be the result of calling the GetOption abstract operation with the
     //     arguments options, "useGrouping", "boolean", undefined, and true.
-        g = GetOption(options, 'useGrouping', 'boolean', undefined, true);
+    //     NOTE: Later editions also accept the strings "always", "auto" and "min2".
+    //           The default is "min2" in compact notation, so 1234 isn't grouped in
+    //           ja, which has no compact pattern below 10000, and "auto" otherwise.
+    //           true is "always", "true" and "false" are the default, and any other
+    //           value that converts to false is false.
+        defaultUseGrouping = notation === 'compact' ? 'min2' : 'auto',
+        g = GetBooleanOrStringNumberFormatOption(options, 'useGrouping',
+                new List('min2', 'auto', 'always', 'true', 'false'), defaultUseGrouping);
+
+    if (g === 'true' || g === 'false')
+        g = defaultUseGrouping;
+    else if (g === true)
+        g = 'always';
 
     // 35. Set the [[useGrouping]] internal property of numberFormat to g.
     internal['[[useGrouping]]'] = g;
 
+    var
+    // Not part of ECMA-402 1.0, the signDisplay option of later editions is when to
+    // show the sign: "auto" for negative numbers, "always", "never", "exceptZero" for
+    // any number other than zero, or "negative" for negative numbers other than zero
+        sd = GetOption(options, 'signDisplay', 'string',
+                new List('auto', 'never', 'always', 'exceptZero', 'negative'), 'auto');
+
+    internal['[[signDisplay]]'] = sd;
+
     var
     // 36. Let dataLocaleData be the result of calling the [[Get]] internal method of
     //     localeData with argument dataLocale.
@@ -1302,7 +1587,13 @@ function /*11.1.1.1 */InitializeNumberFormat (numberFormat, locales, options) {
     var
     // 39. Let stylePatterns be the result of calling the [[Get]] internal method of
     //     patterns with argument s.
-        stylePatterns = patterns[s];
+    //     NOTE: The "unit" style uses the decimal patterns, the unit patterns are
+    //           applied to the number when it is formatted.  So do currency names
+    //           when the locale data has the currency's unit patterns.
+    //           The accounting patterns are only used for currency symbols and codes.
+        stylePatterns = patterns[s === 'unit' || (s === 'currency' && cd === 'name' && dataLocaleData.currencyPatterns)
+                                ? 'decimal'
+                                : (s === 'currency' && cs === 'accounting' && patterns.accounting ? 'accounting' : s)];
 
     // 40. Set the [[positivePattern]] internal property of numberFormat to the
     //     result of calling the [[Get]] internal method of stylePatterns with the
@@ -1314,6 +1605,25 @@ function /*11.1.1.1 */InitializeNumberFormat (numberFormat, locales, options) {
     //     argument "negativePattern".
     internal['[[negativePattern]]'] = stylePatterns.negativePattern;
 
+    // Not part of the spec, but the pattern for an explicit plus sign is the negative
+    // pattern with a plus sign instead of the minus sign, or the positive pattern after
+    // a plus sign when the negative pattern doesn't have one, e.g. ($#,##0.00)
+    internal['[[plusPattern]]'] = /\{minusSign\}|-/.test(stylePatterns.negativePattern)
+                                ? stylePatterns.negativePattern.replace(/\{minusSign\}|-/, '{plusSign}')
+                                : '{plusSign}' + stylePatterns.positivePattern;
+
+    // Not part of the spec, but CLDR patterns also give the number of digits in each
+    // group, e.g. 3 and then 2 for #,##,##0.  Older locale data doesn't have them.
+    internal['[[primaryGroupingSize]]'] = hop.call(stylePatterns, 'primaryGroupingSize')
+                                            ? stylePatterns.primaryGroupingSize : 3;
+    internal['[[secondaryGroupingSize]]'] = hop.call(stylePatterns, 'secondaryGroupingSize')
+                                            ? stylePatterns.secondaryGroupingSize : internal['[[primaryGroupingSize]]'];
+
+    // The minimum number of digits in the highest group before any grouping is used,
+    // e.g. es and pl have 2, so 1234 isn't grouped.  "always" ignores the locale.
+    internal['[[minimumGroupingDigits]]'] = g === 'always' ? 1
+                                          : (g === 'min2' ? 2 : dataLocaleData.minimumGroupingDigits || 1);
+
     // 42. Set the [[boundFormat]] internal property of numberFormat to undefined.
     internal['[[boundFormat]]'] = undefined;
 
@@ -1328,6 +1638,66 @@ function /*11.1.1.1 */InitializeNumberFormat (numberFormat, locales, options) {
     return numberFormat;
 }
 
+/**
+ * The abstract operation SetNumberFormatDigitOptions reads the digit options of a
+ * NumberFormat or PluralRules object from options, as in steps 23 to 33 of
+ * InitializeNumberFormat, and sets the internal properties of internal (the
+ * object's internal properties) for them.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this follows SetNumberFormatDigitOptions in later
+ *       editions, which share it between NumberFormat and PluralRules.
+ */
+function SetNumberFormatDigitOptions (internal, options, mnfdDefault, mxfdDefault) {
+    var
+    // 1. Let mnid be the result of calling the GetNumberOption abstract operation
+    //    with arguments options, "minimumIntegerDigits", 1, 21, and 1.
+        mnid = GetNumberOption(options, 'minimumIntegerDigits', 1, 21, 1),
+
+    // 2. Let mnfd be the result of calling the GetNumberOption abstract operation
+    //    with arguments options, "minimumFractionDigits", 0, 20, and mnfdDefault.
+    //    NOTE: Later editions allow up to 100 fraction digits, for decimal Strings
+    //          that have more digits than a Number, see ToIntlMathematicalValue.
+        mnfd = GetNumberOption(options, 'minimumFractionDigits', 0, 100, mnfdDefault),
+
+    // 3. Let mxfd be the result of calling the GetNumberOption abstract operation
+    //    with arguments options, "maximumFractionDigits", mnfd, 20, and
+    //    max(mnfd, mxfdDefault).
+    //    NOTE: Up to 100 in later editions, as for mnfd.
+        mxfd = GetNumberOption(options, 'maximumFractionDigits', mnfd, 100, Math.max(mnfd, mxfdDefault)),
+
+    // 4. Let mnsd be the result of calling the [[Get]] internal method of options
+    //    with argument "minimumSignificantDigits".
+        mnsd = options.minimumSignificantDigits,
+
+    // 5. Let mxsd be the result of calling the [[Get]] internal method of options
+    //    with argument "maximumSignificantDigits".
+        mxsd = options.maximumSignificantDigits;
+
+    // 6. Set the [[minimumIntegerDigits]], [[minimumFractionDigits]] and
+    //    [[maximumFractionDigits]] internal properties to mnid, mnfd and mxfd.
+    internal['[[minimumIntegerDigits]]'] = mnid;
+    internal['[[minimumFractionDigits]]'] = mnfd;
+    internal['[[maximumFractionDigits]]'] = mxfd;
+
+    // 7. If mnsd is not undefined or mxsd is not undefined, then:
+    if (mnsd !== undefined || mxsd !== undefined) {
+        // a. Let mnsd be the result of calling the GetNumberOption abstract
+        //    operation with arguments options, "minimumSignificantDigits", 1, 21,
+        //    and 1.
+        mnsd = GetNumberOption(options, 'minimumSignificantDigits', 1, 21, 1);
+
+        // b. Let mxsd be the result of calling the GetNumberOption abstract
+        //    operation with arguments options, "maximumSignificantDigits", mnsd,
+        //    21, and 21.
+        mxsd = GetNumberOption(options, 'maximumSignificantDigits', mnsd, 21, 21);
+
+        // c. Set the [[minimumSignificantDigits]] and [[maximumSignificantDigits]]
+        //    internal properties to mnsd and mxsd.
+        internal['[[minimumSignificantDigits]]'] = mnsd;
+        internal['[[maximumSignificantDigits]]'] = mxsd;
+    }
+}
+
 function CurrencyDigits(currency) {
     // When the CurrencyDigits abstract operation is called with an argument currency
     // (which must be an upper case String value), the following steps are taken:
@@ -1342,7 +1712,9 @@ function CurrencyDigits(currency) {
 
 /* 11.2.3 */internals.NumberFormat = {
     '[[availableLocales]]': [],
-    '[[relevantExtensionKeys]]': ['nu'],
+    // Not part of ECMA-402 1.0, the 'ms' key is the measurement system that unit
+    // preferences are for, see the usage option below
+    '[[relevantExtensionKeys]]': ['nu', 'ms'],
     '[[localeData]]': {}
 };
 
@@ -1384,9 +1756,11 @@ function CurrencyDigits(currency) {
                 F = function (value) {
                     // i. If value is not provided, then let value be undefined.
                     // ii. Let x be ToNumber(value).
+                    //     NOTE: Later editions keep all the digits of decimal Strings,
+                    //           see ToIntlMathematicalValue.
                     // iii. Return the result of calling the FormatNumber abstract
                     //      operation (defined below) with arguments this and x.
-                    return FormatNumber(this, /* x = */Number(value));
+                    return FormatNumber(this, /* x = */ToIntlMathematicalValue(value));
                 },
 
             // b. Let bind be the standard built-in function object defined in ES5,
@@ -1407,173 +1781,1578 @@ function CurrencyDigits(currency) {
 });
 
 /**
- * When the FormatNumber abstract operation is called with arguments numberFormat
- * (which must be an object initialized as a NumberFormat) and x (which must be a
- * Number value), it returns a String value representing x according to the
- * effective locale and the formatting options of numberFormat.
+ * This method formats a number in the same way as format(), but returns an Array of
+ * objects, each with a type and a value, for the parts of the formatted number. The
+ * values of the parts, joined together, are the result of format().
+ *
+ * NOTE: Not part of ECMA-402 1.0, but added in later editions
  */
-function FormatNumber (numberFormat, x) {
-    var n,
-
-    // Create an object whose props can be used to restore the values of RegExp props
-        regexpState = createRegExpRestore(),
+defineProperty(Intl.NumberFormat.prototype, 'formatToParts', {
+    configurable: true,
+    writable: true,
+    value: function (value) {
+        var internal = this != null && typeof this === 'object' && getInternalProperties(this);
 
-        internal = getInternalProperties(numberFormat),
-        locale = internal['[[dataLocale]]'],
-        nums   = internal['[[numberingSystem]]'],
-        data   = internals.NumberFormat['[[localeData]]'][locale],
-        ild    = data.symbols[nums] || data.symbols.latn,
+        if (!internal || !internal['[[initializedNumberFormat]]'])
+            throw new TypeError('`this` value for formatToParts() is not an initialized Intl.NumberFormat object.');
 
-    // 1. Let negative be false.
-        negative = false;
+        var
+            parts  = PartitionNumberPattern(this, ToIntlMathematicalValue(value)),
+            result = [];
 
-    // 2. If the result of isFinite(x) is false, then
-    if (isFinite(x) === false) {
-        // a. If x is NaN, then let n be an ILD String value indicating the NaN value.
-        if (isNaN(x))
-            n = ild.nan;
+        for (var i = 0, max = parts.length; i < max; i++)
+            arrPush.call(result, { type: parts[i]['[[type]]'], value: parts[i]['[[value]]'] });
 
-        // b. Else
-        else {
-            // a. Let n be an ILD String value indicating infinity.
-            n = ild.infinity;
-            // b. If x < 0, then let negative be true.
-            if (x < 0)
-                negative = true;
-        }
+        return result;
     }
-    // 3. Else
-    else {
-        // a. If x < 0, then
-        if (x < 0) {
-            // i. Let negative be true.
-            negative = true;
-            // ii. Let x be -x.
-            x = -x;
-        }
+});
 
-        // b. If the value of the [[style]] internal property of numberFormat is
-        //    "percent", let x be 100 × x.
-        if (internal['[[style]]'] === 'percent')
-            x *= 100;
+/**
+ * This method formats a range of numbers with the locale's range pattern, e.g.
+ * "3–5".  The text around both numbers is only formatted once where it's the same,
+ * e.g. "3–5 km", and when both numbers are formatted the same, the result is that
+ * number formatted as approximate, e.g. "~5".
+ *
+ * NOTE: Not part of ECMA-402 1.0, but added in later editions
+ */
+defineProperty(Intl.NumberFormat.prototype, 'formatRange', {
+    configurable: true,
+    writable: true,
+    value: function (start, end) {
+        var internal = this != null && typeof this === 'object' && getInternalProperties(this);
 
-        // c. If the [[minimumSignificantDigits]] and [[maximumSignificantDigits]]
-        //    internal properties of numberFormat are present, then
-        if (hop.call(internal, '[[minimumSignificantDigits]]') &&
-                hop.call(internal, '[[maximumSignificantDigits]]'))
-            // i. Let n be the result of calling the ToRawPrecision abstract operation
-            //    (defined below), passing as arguments x and the values of the
-            //    [[minimumSignificantDigits]] and [[maximumSignificantDigits]]
-            //    internal properties of numberFormat.
-            n = ToRawPrecision(x,
-                  internal['[[minimumSignificantDigits]]'],
-                  internal['[[maximumSignificantDigits]]']);
-        // d. Else
-        else
-            // i. Let n be the result of calling the ToRawFixed abstract operation
-            //    (defined below), passing as arguments x and the values of the
-            //    [[minimumIntegerDigits]], [[minimumFractionDigits]], and
-            //    [[maximumFractionDigits]] internal properties of numberFormat.
-            n = ToRawFixed(x,
-                  internal['[[minimumIntegerDigits]]'],
-                  internal['[[minimumFractionDigits]]'],
-                  internal['[[maximumFractionDigits]]']);
+        if (!internal || !internal['[[initializedNumberFormat]]'])
+            throw new TypeError('`this` value for formatRange() is not an initialized Intl.NumberFormat object.');
 
-        // e. If the value of the [[numberingSystem]] internal property of
-        //    numberFormat matches one of the values in the “Numbering System” column
-        //    of Table 2 below, then
-        if (numSys[nums]) {
-            // i. Let digits be an array whose 10 String valued elements are the
-            //    UTF-16 string representations of the 10 digits specified in the
-            //    “Digits” column of Table 2 in the row containing the value of the
-            //    [[numberingSystem]] internal property.
-            var digits = numSys[internal['[[numberingSystem]]']];
-            // ii. Replace each digit in n with the value of digits[digit].
-            n = String(n).replace(/\d/g, function (digit) {
-                return digits[digit];
-            });
-        }
-        // f. Else use an implementation dependent algorithm to map n to the
-        //    appropriate representation of n in the given numbering system.
-        else
-            n = String(n); // ###TODO###
+        // Both ends of the range are required
+        if (start === undefined || end === undefined)
+            throw new TypeError('formatRange() needs the start and end of the range');
 
-        // g. If n contains the character ".", then replace it with an ILND String
-        //    representing the decimal separator.
-        n = n.replace(/\./g, ild.decimal);
+        var
+            parts  = PartitionNumberRangePattern(this, ToIntlMathematicalValue(start), ToIntlMathematicalValue(end)),
+            result = '';
 
-        // h. If the value of the [[useGrouping]] internal property of numberFormat
-        //    is true, then insert an ILND String representing a grouping separator
-        //    into an ILND set of locations within the integer part of n.
-        if (internal['[[useGrouping]]'] === true) {
-            var parts = n.split(ild.decimal);
-            parts[0] = parts[0].replace(expInsertGroups, ild.group);
+        for (var i = 0, max = parts.length; i < max; i++)
+            result += parts[i]['[[value]]'];
 
-            n = arrJoin.call(parts, ild.decimal);
-        }
+        return result;
     }
+});
 
-    var
-    // 4. If negative is true, then let result be the value of the [[negativePattern]]
-    //    internal property of numberFormat; else let result be the value of the
-    //    [[positivePattern]] internal property of numberFormat.
-        result = internal[negative === true ? '[[negativePattern]]' : '[[positivePattern]]'];
+/**
+ * This method formats a range in the same way as formatRange(), but returns an Array
+ * of objects for the parts, as formatToParts() does.  Each also has a source, which is
+ * "startRange" or "endRange" for the parts of either number, or "shared".
+ *
+ * NOTE: Not part of ECMA-402 1.0, but added in later editions
+ */
+defineProperty(Intl.NumberFormat.prototype, 'formatRangeToParts', {
+    configurable: true,
+    writable: true,
+    value: function (start, end) {
+        var internal = this != null && typeof this === 'object' && getInternalProperties(this);
+
+        if (!internal || !internal['[[initializedNumberFormat]]'])
+            throw new TypeError('`this` value for formatRangeToParts() is not an initialized Intl.NumberFormat object.');
+
+        if (start === undefined || end === undefined)
+            throw new TypeError('formatRangeToParts() needs the start and end of the range');
+
+        var
+            parts  = PartitionNumberRangePattern(this, ToIntlMathematicalValue(start), ToIntlMathematicalValue(end)),
+            result = [];
 
-    // 5. Replace the substring "{number}" within result with n.
-    result = result.replace('{number}', n);
+        for (var i = 0, max = parts.length; i < max; i++)
+            arrPush.call(result, { type: parts[i]['[[type]]'], value: parts[i]['[[value]]'], source: parts[i]['[[source]]'] });
 
-    // 6. If the value of the [[style]] internal property of numberFormat is
-    //    "currency", then:
-    if (internal['[[style]]'] === 'currency') {
-        var cd,
-        // a. Let currency be the value of the [[currency]] internal property of
-        //    numberFormat.
-            currency = internal['[[currency]]'],
+        return result;
+    }
+});
 
-        // Shorthand for the currency data
-            cData = data.currencies[currency];
+/**
+ * Splits the parts of a formatted number into the number itself and the text around
+ * it, which is in layers: the sign, currency and percent pattern is the "middle",
+ * inside that unit patterns and currency names are the "outer" and inside that compact
+ * patterns are the "inner" layer, as ICU names them.  Each layer is a Record of the
+ * [[prefix]] and [[suffix]] parts and their [[text]], to compare.
+ */
+function getRangeLayers (parts) {
+    var result = new Record(),
+        layers = [ 'middle', 'outer', 'inner' ],
+        inNumber = false;
 
-        // b. If the value of the [[currencyDisplay]] internal property of
-        //    numberFormat is "code", then let cd be currency.
-        if (internal['[[currencyDisplay]]'] === 'code')
-            cd = currency;
+    result['[[number]]'] = new List();
 
-        // c. Else if the value of the [[currencyDisplay]] internal property of
-        //    numberFormat is "symbol", then let cd be an ILD string representing
-        //    currency in short form. If the implementation does not have such a
-        //    representation of currency, then use currency itself.
-        else if (internal['[[currencyDisplay]]'] === 'symbol')
-            cd = cData || currency;
+    for (var i = 0; i < layers.length; i++)
+        result[layers[i]] = { '[[prefix]]': new List(), '[[suffix]]': new List(), '[[text]]': '' };
 
-        // d. Else if the value of the [[currencyDisplay]] internal property of
-        //    numberFormat is "name", then let cd be an ILD string representing
-        //    currency in long form. If the implementation does not have such a
-        //    representation of currency, then use currency itself.
-        else if (internal['[[currencyDisplay]]'] === 'name')
-            cd = cData ? cData['displayName-count-one'] : currency;
+    for (i = 0; i < parts.length; i++) {
+        var part = parts[i],
+            layer = result[part['[[pattern]]'] === 'compact' ? 'inner' : (part['[[pattern]]'] ? 'outer' : 'middle')];
 
-        // e. Replace the substring "{currency}" within result with cd.
-        result = result.replace('{currency}', cd);
+        if (hop.call(numberPartTypes, part['[[type]]'])) {
+            arrPush.call(result['[[number]]'], part);
+            inNumber = true;
+        }
+        else
+            arrPush.call(layer[inNumber ? '[[suffix]]' : '[[prefix]]'], part);
     }
 
-    // Restore the RegExp properties
-    regexpState.exp.test(regexpState.input);
+    for (i = 0; i < layers.length; i++) {
+        var pre = '', suf = '', l = result[layers[i]];
+
+        for (var j = 0; j < l['[[prefix]]'].length; j++)
+            pre += l['[[prefix]]'][j]['[[value]]'];
+
+        for (j = 0; j < l['[[suffix]]'].length; j++)
+            suf += l['[[suffix]]'][j]['[[value]]'];
+
+        l['[[text]]'] = pre || suf ? pre + '{number}' + suf : '';
+    }
 
-    // 7. Return result.
     return result;
 }
 
 /**
- * When the ToRawPrecision abstract operation is called with arguments x (which
- * must be a finite non-negative number), minPrecision, and maxPrecision (both
- * must be integers between 1 and 21) the following steps are taken:
+ * The PartitionNumberRangePattern abstract operation is called with arguments
+ * numberFormat (which must be an object initialized as a NumberFormat) and x and y
+ * (which must be Number values or decimal Strings, see ToIntlMathematicalValue).  It
+ * returns a List of Records with [[type]], [[value]] and [[source]] fields, for the
+ * range from x to y.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this follows later editions.  The text around the
+ *       numbers is collapsed as ICU does it.
  */
-function ToRawPrecision (x, minPrecision, maxPrecision) {
-    var
-    // 1. Let p be maxPrecision.
-        p = maxPrecision;
+function PartitionNumberRangePattern (numberFormat, x, y) {
+    // 1. If x is NaN or y is NaN, throw a RangeError exception.
+    if (isNaN(x) || isNaN(y))
+        throw new RangeError('The start and end of a range must be numbers');
 
-    // 2. If x = 0, then
+    var
+    // Create an object whose props can be used to restore the values of RegExp props
+        regexpState = createRegExpRestore(),
+
+        internal = getInternalProperties(numberFormat),
+        data     = internals.NumberFormat['[[localeData]]'][internal['[[dataLocale]]']],
+        pattern  = data.rangePattern || '{0}\u2013{1}',
+
+    // 2. Let xResult be ? PartitionNumberPattern(numberFormat, x).
+        xResult = PartitionNumberPattern(numberFormat, x),
+
+    // 3. Let yResult be ? PartitionNumberPattern(numberFormat, y).
+        yResult = PartitionNumberPattern(numberFormat, y),
+
+        xLayers = getRangeLayers(xResult),
+        yLayers = getRangeLayers(yResult),
+        result  = new List(),
+        i;
+
+    // 4. If FormatNumeric(numberFormat, x) is equal to FormatNumeric(numberFormat, y),
+    //    then return FormatApproximately(numberFormat, xResult).
+    if (FormatNumber(numberFormat, x) === FormatNumber(numberFormat, y)) {
+        result = FormatApproximately(numberFormat, xResult);
+        regexpState.exp.test(regexpState.input);
+        return result;
+    }
+
+    // Unit patterns and currency names have the plural form of the range, which is
+    // the end's, e.g. "1–5 kilometers", unless the ends are in different units
+    if (xLayers.outer['[[text]]'] !== yLayers.outer['[[text]]'] && yResult['[[plural]]']) {
+        var xPlural = getRangeLayers(PartitionNumberPattern(numberFormat, x, yResult['[[plural]]']));
+
+        if (xPlural.outer['[[text]]'] === yLayers.outer['[[text]]'])
+            xLayers = xPlural;
+    }
+
+    var
+    // The text around both numbers is only formatted once when it's the same, from the
+    // outer layer in.  The middle layer has to be more than a character as well, so
+    // it's "3,00–5,00 €" but "€3.00 – €5.00".  The inner layer is never collapsed.
+        collapseOuter  = xLayers.outer['[[text]]'] === yLayers.outer['[[text]]'],
+        collapseMiddle = collapseOuter && xLayers.middle['[[text]]'] === yLayers.middle['[[text]]']
+                            && toCodePoints(xLayers.middle['[[text]]']).length > '{number}'.length + 1,
+
+        // When the text around the start is repeated for the end, the range separator
+        // is spaced
+        spaced = (!collapseOuter && xLayers.outer['[[text]]'])
+              || (!collapseMiddle && xLayers.middle['[[text]]']) || xLayers.inner['[[text]]'],
+
+        start     = pattern.indexOf('{0}'),
+        end       = pattern.indexOf('{1}'),
+        separator = pattern.slice(start + 3, end),
+
+        add = function (parts, source) {
+            for (var j = 0; j < parts.length; j++) {
+                parts[j]['[[source]]'] = source;
+                arrPush.call(result, parts[j]);
+            }
+        },
+        addLiteral = function (text) {
+            if (text)
+                arrPush.call(result, { '[[type]]': 'literal', '[[value]]': text, '[[source]]': 'shared' });
+        },
+        addNumber = function (layers, source) {
+            if (!collapseMiddle)
+                add(layers.middle['[[prefix]]'], source);
+            if (!collapseOuter)
+                add(layers.outer['[[prefix]]'], source);
+
+            add(layers.inner['[[prefix]]'], source);
+            add(layers['[[number]]'], source);
+            add(layers.inner['[[suffix]]'], source);
+
+            if (!collapseOuter)
+                add(layers.outer['[[suffix]]'], source);
+            if (!collapseMiddle)
+                add(layers.middle['[[suffix]]'], source);
+        };
+
+    if (spaced)
+        separator = (/^\s/.test(separator) ? '' : ' ') + separator + (/\s$/.test(separator) ? '' : ' ');
+
+    // 5. Let result be a new empty List, and add the parts of xResult with [[Source]]
+    //    "startRange", the range separator with [[Source]] "shared" and the parts of
+    //    yResult with [[Source]] "endRange" to it, in the locale's range pattern.
+    addLiteral(pattern.slice(0, start));
+
+    if (collapseMiddle)
+        add(xLayers.middle['[[prefix]]'], 'shared');
+    if (collapseOuter)
+        add(xLayers.outer['[[prefix]]'], 'shared');
+
+    addNumber(xLayers, 'startRange');
+    addLiteral(separator);
+    addNumber(yLayers, 'endRange');
+
+    if (collapseOuter)
+        add(yLayers.outer['[[suffix]]'], 'shared');
+    if (collapseMiddle)
+        add(yLayers.middle['[[suffix]]'], 'shared');
+
+    addLiteral(pattern.slice(end + 3));
+
+    // Restore the RegExp properties
+    regexpState.exp.test(regexpState.input);
+
+    // 6. Return result.
+    return result;
+}
+
+/**
+ * The FormatApproximately abstract operation is called with arguments numberFormat
+ * (which must be an object initialized as a NumberFormat) and result (which must be a
+ * List of Records from PartitionNumberPattern).  It returns result with the locale's
+ * approximately sign, from its approximately pattern, e.g. "~{0}", and with the
+ * [[source]] "shared" for every part.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this follows later editions
+ */
+function FormatApproximately (numberFormat, result) {
+    var internal = getInternalProperties(numberFormat),
+        data     = internals.NumberFormat['[[localeData]]'][internal['[[dataLocale]]']],
+        pattern  = data.approximatelyPattern || '~{0}',
+        idx      = pattern.indexOf('{0}'),
+        parts    = new List();
+
+    if (idx > 0)
+        arrPush.call(parts, { '[[type]]': 'approximatelySign', '[[value]]': pattern.slice(0, idx) });
+
+    arrPush.apply(parts, arrSlice.call(result));
+
+    if (idx + 3 < pattern.length)
+        arrPush.call(parts, { '[[type]]': 'approximatelySign', '[[value]]': pattern.slice(idx + 3) });
+
+    for (var i = 0; i < parts.length; i++)
+        parts[i]['[[source]]'] = 'shared';
+
+    return parts;
+}
+
+/**
+ * This method reads a number formatted in the locale, numbering system and style of
+ * this NumberFormat, e.g. "1.234,56 €" in de-DE, and returns it as a Number.  The
+ * input can also have Latin digits, any kind of space where the format has one, and
+ * the currency code, symbol or name instead of the one the format has.  Input that
+ * can't be read, or could be read as different numbers, is NaN, unless the strict
+ * option is true, which throws a RangeError for it instead.  Strict input also needs
+ * the format's own digits, signs and grouping.
+ *
+ * NOTE: Not part of any edition of ECMA-402.  Compact notation isn't read, and the
+ *       unit conversions of the usage option aren't reversed.
+ */
+defineProperty(Intl.NumberFormat.prototype, 'parse', {
+    configurable: true,
+    writable: true,
+    value: function (string, options) {
+        var internal = this != null && typeof this === 'object' && getInternalProperties(this);
+
+        if (!internal || !internal['[[initializedNumberFormat]]'])
+            throw new TypeError('`this` value for parse() is not an initialized Intl.NumberFormat object.');
+
+        options = options === undefined ? {} : toObject(options);
+
+        var strict = GetOption(options, 'strict', 'boolean', undefined, false),
+            x = ParseNumber(this, String(string), strict);
+
+        if (strict && isNaN(x))
+            throw new RangeError("'" + string + "' is not a number in the format of this NumberFormat");
+
+        return x;
+    }
+});
+
+// The part types of the number itself, the other parts are around it
+var numberPartTypes = {
+        integer: true, group: true, decimal: true, fraction: true, nan: true, infinity: true,
+        exponentSeparator: true, exponentMinusSign: true, exponentInteger: true
+    },
+
+    // Numbers to format for the text around numbers of each sign and plural category,
+    // e.g. "US dollar" and "US dollars"
+    parseSamples = [ 1, 0, 2, 3, 5, 7, 11, 21, 0.5, 1.5, 100, 1000000 ];
+
+/**
+ * Returns the text around the numbers that a NumberFormat formats, as a List of
+ * Records with the [[prefix]] and [[suffix]] of the number and whether the number is
+ * [[negative]].  These are from formatting parseSamples, so they're the same as
+ * format() gives, and are cached.  Compact notation is left out, as its text is a
+ * power of ten too.
+ */
+function getParseAffixes (numberFormat) {
+    var internal = getInternalProperties(numberFormat);
+
+    if (internal['[[parseAffixes]]'])
+        return internal['[[parseAffixes]]'];
+
+    var result = new List(),
+        seen = objCreate(null);
+
+    for (var i = 0; i < parseSamples.length * 2; i++) {
+        var x = i < parseSamples.length ? parseSamples[i] : -parseSamples[i - parseSamples.length],
+            parts = PartitionNumberPattern(numberFormat, x),
+            prefix = '',
+            suffix = '',
+            inNumber = false,
+            compact = false;
+
+        for (var j = 0; j < parts.length; j++) {
+            var type = parts[j]['[[type]]'];
+
+            if (hop.call(numberPartTypes, type))
+                inNumber = true;
+
+            else if (inNumber)
+                suffix += parts[j]['[[value]]'];
+
+            else
+                prefix += parts[j]['[[value]]'];
+
+            compact = compact || type === 'compact';
+        }
+
+        // The first sample with the same text wins, so a negative number formatted
+        // without a sign, e.g. with signDisplay "never", is positive
+        if (!compact && !seen[prefix + '{number}' + suffix]) {
+            seen[prefix + '{number}' + suffix] = true;
+
+            arrPush.call(result, {
+                '[[prefix]]':   prefix,
+                '[[suffix]]':   suffix,
+                '[[negative]]': x < 0
+            });
+        }
+    }
+
+    return (internal['[[parseAffixes]]'] = result);
+}
+
+/**
+ * Reads a String formatted by numberFormat, see Intl.NumberFormat.prototype.parse,
+ * and returns the Number, or NaN if it can't be read or could be more than one number.
+ */
+function ParseNumber (numberFormat, string, strict) {
+    var
+    // Create an object whose props can be used to restore the values of RegExp props
+        regexpState = createRegExpRestore(),
+
+        internal = getInternalProperties(numberFormat),
+        nums     = internal['[[numberingSystem]]'],
+        data     = internals.NumberFormat['[[localeData]]'][internal['[[dataLocale]]']],
+        ild      = data.symbols[nums] || data.symbols.latn,
+        affixes  = getParseAffixes(numberFormat),
+        currency = internal['[[currency]]'],
+        result   = NaN,
+
+        // Any kind of space matches any other.  Leniently, they're left out altogether
+        // with the bidi marks of right-to-left locales, and any kind of minus or plus
+        // sign is the ASCII one.
+        normalize = function (str) {
+            str = str.replace(/\s+/g, ' ');
+
+            if (!strict)
+                str = str.replace(/[ \u061C\u200E\u200F]/g, '')
+                         .replace(/[\u2212\u2012\u2013\uFE63\uFF0D]/g, '-')
+                         .replace(/[\uFE62\uFF0B]/g, '+');
+
+            return str;
+        },
+
+        input = normalize(string.replace(/^\s+|\s+$/g, '')),
+
+        // The currency can leniently be its code, symbol or any of its names
+        currencies = new List();
+
+    if (internal['[[style]]'] === 'currency' && !strict) {
+        arrPush.call(currencies, currency);
+
+        if (data.currencies[currency])
+            arrPush.call(currencies, data.currencies[currency]);
+
+        if (data.currencyNames && hop.call(data.currencyNames, currency)) {
+            for (var k in data.currencyNames[currency]) {
+                if (hop.call(data.currencyNames[currency], k))
+                    arrPush.call(currencies, data.currencyNames[currency][k]);
+            }
+        }
+    }
+
+    var candidates = new List(),
+        formats = arrSlice.call(affixes);
+
+    // Leniently, the number can be on its own, and a minus sign can be before any
+    // positive number, e.g. "-1 234,56 €" where the format is "(1 234,56 €)"
+    if (!strict)
+        arrPush.call(formats, { '[[prefix]]': '', '[[suffix]]': '', '[[negative]]': false });
+
+    for (var i = 0; i < formats.length; i++) {
+        arrPush.call(candidates, formats[i]);
+
+        if (!strict && !formats[i]['[[negative]]'])
+            arrPush.call(candidates, {
+                '[[prefix]]':   '-' + formats[i]['[[prefix]]'],
+                '[[suffix]]':   formats[i]['[[suffix]]'],
+                '[[negative]]': true
+            });
+    }
+
+    for (i = 0; i < candidates.length; i++) {
+        var prefix = normalize(candidates[i]['[[prefix]]']),
+            suffix = normalize(candidates[i]['[[suffix]]']),
+            variants = new List(prefix + '\n' + suffix);
+
+        // The other ways of writing the currency, where the format has one of them
+        for (var j = 0; j < currencies.length; j++) {
+            for (var c = 0; c < currencies.length; c++) {
+                var from = normalize(currencies[j]),
+                    to = normalize(currencies[c]);
+
+                if (from && from !== to && (prefix + '\n' + suffix).indexOf(from) > -1)
+                    arrPush.call(variants, (prefix + '\n' + suffix).replace(from, to));
+            }
+        }
+
+        for (j = 0; j < variants.length; j++) {
+            var affix = variants[j].split('\n');
+
+            if (input.length <= affix[0].length + affix[1].length
+                    || input.slice(0, affix[0].length) !== affix[0]
+                    || input.slice(input.length - affix[1].length) !== affix[1])
+                continue;
+
+            var x = parseNumberCore(internal, data, ild,
+                        input.slice(affix[0].length, input.length - affix[1].length), strict);
+
+            if (isNaN(x))
+                continue;
+
+            if (candidates[i]['[[negative]]'])
+                x = -x;
+
+            // Input that matches more than one format, as different numbers, is ambiguous
+            if (!isNaN(result) && x !== result) {
+                regexpState.exp.test(regexpState.input);
+                return NaN;
+            }
+
+            result = x;
+        }
+    }
+
+    // Restore the RegExp properties
+    regexpState.exp.test(regexpState.input);
+
+    return result;
+}
+
+/**
+ * Reads the number between the prefix and suffix of a formatted number, with the ILD
+ * symbols of a NumberFormat.  Leniently, the group separators can be anywhere in the
+ * integer digits, and Latin digits can be used.  Returns NaN if it isn't a number.
+ */
+function parseNumberCore (internal, data, ild, str, strict) {
+    var nums = internal['[[numberingSystem]]'],
+        digits = numSys[nums] || (data.digits && hop.call(data.digits, nums) && data.digits[nums]) || '0123456789',
+        values = objCreate(null),
+        exponential = ild.exponential || 'E',
+        minus = getSignSymbol(ild, 'minusSign'),
+        decimal = ild.decimal,
+
+        // Spaces were made the same or taken out, and so were any in the separator
+        group = ild.group.replace(/\s+/g, strict ? ' ' : ''),
+
+        integer = '',
+        fraction,
+        exponent,
+        groups = new List(),
+        pos = 0,
+        c;
+
+    for (var i = 0; i < 10; i++) {
+        values[digits[i]] = i;
+
+        if (!strict)
+            values[i] = i;
+    }
+
+    if (str === ild.infinity)
+        return Infinity;
+
+    while (pos < str.length) {
+        // A digit outside the BMP is a surrogate pair
+        c = str.slice(pos, /[\uD800-\uDBFF]/.test(str.charAt(pos)) ? pos + 2 : pos + 1);
+
+        if (exponent !== undefined) {
+            if (exponent === '' && (c === minus || (!strict && c === '-')))
+                exponent = '-';
+            else if (c in values)
+                exponent += values[c];
+            else
+                return NaN;
+        }
+        else if (c in values) {
+            if (fraction !== undefined)
+                fraction += values[c];
+            else
+                integer += values[c];
+        }
+        // A group separator has to be between two integer digits
+        else if (group && fraction === undefined && str.indexOf(group, pos) === pos) {
+            if (!integer || pos + group.length >= str.length)
+                return NaN;
+
+            arrPush.call(groups, integer.length);
+            c = group;
+        }
+        else if (fraction === undefined && str.indexOf(decimal, pos) === pos) {
+            fraction = '';
+            c = decimal;
+        }
+        else if (internal['[[notation]]'] !== 'standard' && (integer || fraction)
+                    && str.indexOf(exponential, pos) === pos) {
+            exponent = '';
+            c = exponential;
+        }
+        else
+            return NaN;
+
+        pos += c.length;
+    }
+
+    // There has to be a digit, after the last separator too
+    if ((!integer && !fraction) || (groups.length && groups[groups.length - 1] === integer.length)
+            || exponent === '' || exponent === '-' || (strict && (!integer || fraction === '')))
+        return NaN;
+
+    // The group separators are either where they'd be formatted, or leniently anywhere
+    // between two digits, but not next to each other
+    for (i = 1; i < groups.length; i++) {
+        if (groups[i] === groups[i - 1])
+            return NaN;
+    }
+
+    if (strict) {
+        var expected = internal['[[useGrouping]]'] === false ? new List(integer) : groupDigits(integer,
+                internal['[[primaryGroupingSize]]'], internal['[[secondaryGroupingSize]]'],
+                internal['[[minimumGroupingDigits]]']);
+
+        for (i = 0, c = 0; i < expected.length - 1; i++) {
+            c += expected[i].length;
+
+            if (groups[i] !== c)
+                return NaN;
+        }
+
+        if (groups.length !== expected.length - 1)
+            return NaN;
+    }
+
+    var x = Number((integer || '0') + (fraction ? '.' + fraction : '') + (exponent ? 'e' + exponent : ''));
+
+    // The percent style formats 100 × x
+    return internal['[[style]]'] === 'percent' ? Number(scaleDecimal(x, -2)) : x;
+}
+
+/**
+ * Converts the value to format to a Number, or to a decimal String when it has more
+ * digits than a Number, e.g. "12345678901234567890.12".  That String is the decimal
+ * in exponential form, as toExponential would give it, so that its digits are
+ * rounded rather than those of the closest Number, see toExponentialParts.  Objects
+ * are converted to a primitive as for ToNumber, e.g. by their valueOf or toString.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this follows ToIntlMathematicalValue in later
+ *       editions.  Decimals that are too large or small for a Number are infinite
+ *       or zero, as they would be as a Number.
+ */
+function ToIntlMathematicalValue (value) {
+    var prim = value;
+
+    // The valueOf method first, as for the "number" hint of ToPrimitive
+    if (Object(prim) === prim)
+        prim = typeof prim.valueOf === 'function' ? prim.valueOf() : prim;
+
+    // Objects are converted to a String, and so are BigInts, which are integers with any
+    // number of digits, as the primitives that aren't converted as for ToNumber (the
+    // "object" is null)
+    if (Object(prim) === prim || !/^(?:string|number|boolean|undefined|symbol|object)$/.test(typeof prim))
+        prim = String(prim);
+
+    var
+        m = typeof prim === 'string'
+                && /^\s*([+\-])?(?:(\d+)\.?(\d*)|\.(\d+))(?:[eE]([+\-]?\d+))?\s*$/.exec(prim);
+
+    // Anything other than a decimal String is converted to a Number
+    if (!m)
+        return Number(prim);
+
+    var
+        // All the digits, and the exponent of the first
+        digits = (m[2] || '') + (m[3] || m[4] || ''),
+        e = Number(m[5] || 0) + (m[2] || '').length - 1,
+
+        // The leading zeros are before the first digit, so don't count towards e
+        zeros = /^0*/.exec(digits)[0].length,
+        decimal,
+        x;
+
+    digits = digits.slice(zeros).replace(/0+$/, '');
+    e -= zeros;
+
+    decimal = (m[1] === '-' ? '-' : '') + digits.charAt(0)
+            + (digits.length > 1 ? '.' + digits.slice(1) : '') + 'e' + (e < 0 ? '' : '+') + e;
+
+    x = Number(digits ? decimal : (m[1] === '-' ? '-0' : '0'));
+
+    // The Number is used when it has the same digits, or is infinite or zero
+    if (!digits || !isFinite(x) || x === 0 || Number.prototype.toExponential.call(x) === decimal)
+        return x;
+
+    return decimal;
+}
+
+/**
+ * When the FormatNumber abstract operation is called with arguments numberFormat
+ * (which must be an object initialized as a NumberFormat) and x (which must be a
+ * Number value), it returns a String value representing x according to the
+ * effective locale and the formatting options of numberFormat.
+ */
+function FormatNumber (numberFormat, x) {
+    var
+        // Formatting is done in parts, which formatToParts() returns as they are
+        parts = PartitionNumberPattern(numberFormat, x),
+        result = '';
+
+    // Join the values of the parts to get the same String value
+    for (var i = 0, max = parts.length; i < max; i++)
+        result += parts[i]['[[value]]'];
+
+    return result;
+}
+
+/**
+ * The PartitionNumberPattern abstract operation is called with arguments
+ * numberFormat (which must be an object initialized as a NumberFormat) and x (which
+ * must be a Number value). It interprets x as described for FormatNumber, but
+ * returns a List of Records with [[type]] and [[value]] fields, one for each part
+ * of the pattern and of the formatted number.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this is the FormatNumber algorithm split into parts
+ *       as in later editions of the specification.  The optional argument plural is
+ *       the plural category of unit patterns and currency names instead of x's, and
+ *       the one used is the [[plural]] of the List, for ranges.
+ */
+function PartitionNumberPattern (numberFormat, x, plural) {
+    var n, alg, compact, sci, converted,
+
+    // Create an object whose props can be used to restore the values of RegExp props
+        regexpState = createRegExpRestore(),
+
+        internal = getInternalProperties(numberFormat),
+        locale = internal['[[dataLocale]]'],
+        nums   = internal['[[numberingSystem]]'],
+        data   = internals.NumberFormat['[[localeData]]'][locale],
+        ild    = data.symbols[nums] || data.symbols.latn,
+
+    // The unit of the "unit" style, which the usage option can convert x to another of
+        unit   = internal['[[unit]]'],
+
+    // The parts of the formatted number, added to the result in place of "{number}"
+        numberParts = new List(),
+
+    // Whether x is -0, and whether it's zero (or NaN) after rounding, for signDisplay
+        negativeZero = false,
+        zero = isNaN(x),
+
+    // 1. Let negative be false.
+        negative = false;
+
+    // 3b. If the value of the [[style]] internal property of numberFormat is
+    //     "percent", let x be 100 × x.
+    //     NOTE: This is done before x is checked, so that a percent too large for a
+    //           Number is infinite, e.g. for Number.MAX_VALUE, rather than rounded
+    //           or divided by a power of ten for scientific notation.
+    if (internal['[[style]]'] === 'percent' && isFinite(x))
+        x = scaleDecimal(x, 2);
+
+    // 2. If the result of isFinite(x) is false, then
+    if (isFinite(x) === false) {
+        // a. If x is NaN, then let n be an ILD String value indicating the NaN value.
+        if (isNaN(x))
+            arrPush.call(numberParts, { '[[type]]': 'nan', '[[value]]': ild.nan });
+
+        // b. Else
+        else {
+            // a. Let n be an ILD String value indicating infinity.
+            arrPush.call(numberParts, { '[[type]]': 'infinity', '[[value]]': ild.infinity });
+
+            // b. If x < 0, then let negative be true.
+            if (x < 0)
+                negative = true;
+        }
+    }
+    // 3. Else
+    else {
+        // With the usage option, x is converted to the preferred unit first, e.g. from
+        // 1500 meters to 1.5 kilometers, as conversions can have an offset that changes
+        // the sign, e.g. from -10 °C to 14 °F
+        if (hop.call(internal, '[[usage]]') && (converted = ComputeUnit(internal, data, x))) {
+            unit = converted['[[unit]]'];
+            x = converted['[[x]]'];
+        }
+
+        negativeZero = x === 0 && 1 / x < 0;
+
+        // a. If x < 0, then
+        if (x < 0) {
+            // i. Let negative be true.
+            negative = true;
+            // ii. Let x be -x.
+            //     NOTE: A decimal String is negative when it starts with "-".
+            x = typeof x === 'string' ? x.slice(1) : -x;
+        }
+
+        var
+        // Later editions round the absolute value of x with the [[roundingMode]] for
+        // its sign, e.g. "floor" rounds it up when x is negative
+            mode = GetUnsignedRoundingMode(internal, negative);
+
+        // b. (The percent style's 100 × x is above, see 3b.)
+
+        // Compact notation divides x by a power of ten from the locale's compact
+        // patterns before rounding, unless the locale data doesn't have any
+        if (internal['[[notation]]'] === 'compact' && (compact = ComputeCompact(internal, data, x, mode)))
+            n = compact['[[n]]'];
+
+        // Scientific and engineering notation divide x by a power of ten, so that
+        // only 1 (or up to 3 for engineering) integer digits are left
+        else if (internal['[[notation]]'] === 'scientific' || internal['[[notation]]'] === 'engineering')
+            n = (sci = ComputeScientific(internal, x, mode))['[[n]]'];
+
+        // c. If the [[minimumSignificantDigits]] and [[maximumSignificantDigits]]
+        //    internal properties of numberFormat are present, then
+        else if (hop.call(internal, '[[minimumSignificantDigits]]') &&
+                hop.call(internal, '[[maximumSignificantDigits]]'))
+            // i. Let n be the result of calling the ToRawPrecision abstract operation
+            //    (defined below), passing as arguments x and the values of the
+            //    [[minimumSignificantDigits]] and [[maximumSignificantDigits]]
+            //    internal properties of numberFormat.
+            n = ToRawPrecision(x,
+                  internal['[[minimumSignificantDigits]]'],
+                  internal['[[maximumSignificantDigits]]'], mode);
+        // d. Else
+        else
+            // i. Let n be the result of calling the ToRawFixed abstract operation
+            //    (defined below), passing as arguments x and the values of the
+            //    [[minimumIntegerDigits]], [[minimumFractionDigits]], and
+            //    [[maximumFractionDigits]] internal properties of numberFormat.
+            n = ToRawFixed(x,
+                  internal['[[minimumIntegerDigits]]'],
+                  internal['[[minimumFractionDigits]]'],
+                  internal['[[maximumFractionDigits]]'],
+                  internal['[[roundingIncrement]]'], mode);
+
+        // With the trailingZeroDisplay "stripIfInteger", an integer has no fraction
+        // digits, e.g. 1 and not 1.00
+        if (internal['[[trailingZeroDisplay]]'] === 'stripIfInteger')
+            n = n.replace(/\.0+$/, '');
+
+        // Unit patterns and currency names have the plural form for n, e.g. "{0} km" or
+        // "{0} kilometers", so it's chosen before n is mapped to other digits
+        if (!plural && (internal['[[style]]'] === 'unit' || internal['[[currencyDisplay]]'] === 'name'))
+            plural = getPluralCategory(data.plurals && data.plurals.cardinal, n, compact ? compact['[[exponent]]'] : 0);
+
+        zero = Number(n) === 0;
+
+        // e. If the value of the [[numberingSystem]] internal property of
+        //    numberFormat matches one of the values in the “Numbering System” column
+        //    of Table 2 below, then
+        if (numSys[nums]) {
+            // i. Let digits be an array whose 10 String valued elements are the
+            //    UTF-16 string representations of the 10 digits specified in the
+            //    “Digits” column of Table 2 in the row containing the value of the
+            //    [[numberingSystem]] internal property.
+            var digits = numSys[internal['[[numberingSystem]]']];
+            // ii. Replace each digit in n with the value of digits[digit].
+            n = String(n).replace(/\d/g, function (digit) {
+                return digits[digit];
+            });
+        }
+        // f. Else use an implementation dependent algorithm to map n to the
+        //    appropriate representation of n in the given numbering system.
+        //    NOTE: The digits of CLDR's other decimal numbering systems are in the
+        //          locale data.  The algorithmic numbering systems only represent
+        //          integers within their range, anything else falls back to Latin digits.
+        else {
+            n = String(n);
+
+            if (data.digits && hop.call(data.digits, nums)) {
+                digits = data.digits[nums];
+                n = n.replace(/\d/g, function (digit) {
+                    return digits[digit];
+                });
+            }
+            else if (hop.call(algNumSys, nums) && /^\d+$/.test(n))
+                alg = algNumSys[nums](Number(n));
+
+            if (alg !== undefined)
+                n = alg;
+        }
+
+        var
+        // Split n into its integer and fraction parts, before the decimal separator
+        // is localized
+            idx     = n.indexOf('.'),
+            integer = idx > -1 ? n.slice(0, idx) : n,
+            fraction = idx > -1 ? n.slice(idx + 1) : undefined;
+
+        // h. If the value of the [[useGrouping]] internal property of numberFormat
+        //    is true, then insert an ILND String representing a grouping separator
+        //    into an ILND set of locations within the integer part of n.
+        //    NOTE: The value can also be "always", "auto" or "min2", see above.  The
+        //          algorithmic numbering systems aren't positional, so aren't grouped.
+        if (internal['[[useGrouping]]'] !== false && alg === undefined) {
+            var groups = groupDigits(integer,
+                            internal['[[primaryGroupingSize]]'], internal['[[secondaryGroupingSize]]'],
+                            internal['[[minimumGroupingDigits]]']);
+
+            for (var i = 0, max = groups.length; i < max; i++) {
+                if (i > 0)
+                    arrPush.call(numberParts, { '[[type]]': 'group', '[[value]]': ild.group });
+
+                arrPush.call(numberParts, { '[[type]]': 'integer', '[[value]]': groups[i] });
+            }
+        }
+        else
+            arrPush.call(numberParts, { '[[type]]': 'integer', '[[value]]': integer });
+
+        // g. If n contains the character ".", then replace it with an ILND String
+        //    representing the decimal separator.
+        if (fraction !== undefined) {
+            arrPush.call(numberParts, { '[[type]]': 'decimal', '[[value]]': ild.decimal });
+            arrPush.call(numberParts, { '[[type]]': 'fraction', '[[value]]': fraction });
+        }
+
+        // The exponent follows the ILD exponential symbol, in the same digits as n
+        if (sci) {
+            var exponent = String(Math.abs(sci['[[exponent]]'])),
+                expDigits = numSys[nums] || (data.digits && hop.call(data.digits, nums) && data.digits[nums]),
+                minExpDigits = data.patterns.scientific ? data.patterns.scientific.minimumExponentDigits : 1;
+
+            while (exponent.length < minExpDigits)
+                exponent = '0' + exponent;
+
+            if (expDigits)
+                exponent = exponent.replace(/\d/g, function (digit) {
+                    return expDigits[digit];
+                });
+
+            arrPush.call(numberParts, { '[[type]]': 'exponentSeparator', '[[value]]': ild.exponential || 'E' });
+
+            if (sci['[[exponent]]'] < 0)
+                arrPush.call(numberParts, { '[[type]]': 'exponentMinusSign', '[[value]]': getSignSymbol(ild, 'minusSign') });
+
+            arrPush.call(numberParts, { '[[type]]': 'exponentInteger', '[[value]]': exponent });
+        }
+    }
+
+    var sign,
+        sd = internal['[[signDisplay]]'];
+
+    // 4. If negative is true, then let result be the value of the [[negativePattern]]
+    //    internal property of numberFormat; else let result be the value of the
+    //    [[positivePattern]] internal property of numberFormat.
+    //    NOTE: Later editions also choose the pattern with signDisplay, and show the
+    //          sign of -0 with "always".  With "auto", -0 is formatted as 0, as
+    //          ECMA-402 1.0 requires.
+    if (sd === 'never' || (zero && (sd === 'exceptZero' || sd === 'negative')))
+        sign = '[[positivePattern]]';
+
+    else if (negative === true || (negativeZero && sd === 'always'))
+        sign = '[[negativePattern]]';
+
+    else
+        sign = sd === 'always' || sd === 'exceptZero' ? '[[plusPattern]]' : '[[positivePattern]]';
+
+    var pattern = internal[sign],
+        result = new List(),
+        expPlaceholder = /\{(\w+)\}/g,
+        lastIndex = 0,
+        match;
+
+    // Each "{placeholder}" in the pattern is a part, the text around them is literal
+    while ((match = expPlaceholder.exec(pattern)) !== null) {
+        addLiteralParts(result, pattern.slice(lastIndex, match.index), ild);
+        lastIndex = expPlaceholder.lastIndex;
+
+        // 5. Replace the substring "{number}" within result with n.
+        //    NOTE: In compact notation, n is in the compact pattern, e.g. "{number}K",
+        //          in the "unit" style it's in the unit pattern, e.g. "{0} km", and
+        //          currency names are in the currency's unit pattern, e.g. "{0} {1}"
+        if (match[1] === 'number') {
+            var parts = numberParts;
+
+            if (compact && compact['[[pattern]]'])
+                parts = insertPatternParts(compact['[[pattern]]'], '{number}', 'compact', parts);
+
+            if (internal['[[style]]'] === 'unit')
+                parts = insertPatternParts(getUnitPattern(internal, data, unit, plural || 'other'), '{0}', 'unit', parts);
+
+            else if (internal['[[currencyDisplay]]'] === 'name' && data.currencyPatterns) {
+                var cPattern = data.currencyPatterns[plural] || data.currencyPatterns.other;
+
+                parts = insertPatternParts(cPattern.replace('{1}', getCurrencyName(data, internal['[[currency]]'], plural || 'other')),
+                            '{0}', 'currency', parts);
+            }
+
+            arrPush.apply(result, arrSlice.call(parts));
+        }
+
+        // 6. If the value of the [[style]] internal property of numberFormat is
+        //    "currency", then:
+        else if (match[1] === 'currency' && internal['[[style]]'] === 'currency') {
+            var cd,
+            // a. Let currency be the value of the [[currency]] internal property of
+            //    numberFormat.
+                currency = internal['[[currency]]'],
+
+            // Shorthand for the currency symbol
+                cData = data.currencies[currency];
+
+            // b. If the value of the [[currencyDisplay]] internal property of
+            //    numberFormat is "code", then let cd be currency.
+            if (internal['[[currencyDisplay]]'] === 'code')
+                cd = currency;
+
+            // c. Else if the value of the [[currencyDisplay]] internal property of
+            //    numberFormat is "symbol", then let cd be an ILD string representing
+            //    currency in short form. If the implementation does not have such a
+            //    representation of currency, then use currency itself.
+            else if (internal['[[currencyDisplay]]'] === 'symbol')
+                cd = cData || currency;
+
+            // The narrow symbol, from later editions, is the symbol unless the locale
+            // data has a narrower one, e.g. "$" for "US$"
+            else if (internal['[[currencyDisplay]]'] === 'narrowSymbol')
+                cd = data.narrowCurrencies && data.narrowCurrencies[currency] || cData || currency;
+
+            // d. Else if the value of the [[currencyDisplay]] internal property of
+            //    numberFormat is "name", then let cd be an ILD string representing
+            //    currency in long form. If the implementation does not have such a
+            //    representation of currency, then use currency itself.
+            //    NOTE: The name has the plural form for n, and is usually in the
+            //          currency's unit pattern, see step 5 above.
+            else if (internal['[[currencyDisplay]]'] === 'name')
+                cd = getCurrencyName(data, currency, plural || 'other');
+
+            // e. Replace the substring "{currency}" within result with cd.
+            arrPush.call(result, { '[[type]]': 'currency', '[[value]]': cd });
+        }
+
+        // The signs are replaced with the ILD symbols for the numbering system
+        else if (hop.call(signParts, match[1]))
+            arrPush.call(result, { '[[type]]': signParts[match[1]], '[[value]]': getSignSymbol(ild, match[1]) });
+
+        // Anything else isn't a placeholder we know about
+        else
+            addLiteralParts(result, match[0], ild);
+    }
+    addLiteralParts(result, pattern.slice(lastIndex), ild);
+
+    // CLDR's currency spacing separates a currency from the number next to it, e.g.
+    // "CHF 12.00" but "$12.00".  Currency names are in the locale's unit pattern for
+    // them, e.g. "{0}{1}" in ja, which already has any space it needs.
+    if (internal['[[style]]'] === 'currency' && internal['[[currencyDisplay]]'] !== 'name')
+        result = applyCurrencySpacing(result, data.currencySpacing || {},
+                    numSys[nums] || data.digits && data.digits[nums] || []);
+
+    result['[[plural]]'] = plural;
+
+    // Restore the RegExp properties
+    regexpState.exp.test(regexpState.input);
+
+    // 7. Return result.
+    return result;
+}
+
+/**
+ * Splits the integer digits of a number into groups, from the right. The first group
+ * has primary digits and the rest have secondary digits, but there is only more than
+ * one group if the highest would have at least minimum digits. Returns a List of
+ * groups.
+ */
+function groupDigits (integer, primary, secondary, minimum) {
+    var groups = new List(),
+        digits = toCodePoints(integer),
+        end = digits.length;
+
+    // A size of 0 means the pattern isn't grouped
+    if (primary > 0 && end >= primary + minimum) {
+        arrPush.call(groups, arrJoin.call(arrSlice.call(digits, end - primary), ''));
+        end -= primary;
+
+        while (secondary > 0 && end > secondary) {
+            arrPush.call(groups, arrJoin.call(arrSlice.call(digits, end - secondary, end), ''));
+            end -= secondary;
+        }
+    }
+
+    arrPush.call(groups, arrJoin.call(arrSlice.call(digits, 0, end), ''));
+
+    return arrSlice.call(groups).reverse();
+}
+
+/**
+ * Computes compact notation for x, which must be a finite, positive Number or decimal
+ * String.  Returns a Record with the [[exponent]] of the power of ten that x is
+ * divided by, x divided and rounded with the unsigned rounding mode as [[n]], and the
+ * compact [[pattern]] for n, or undefined if the locale data has no compact patterns.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this follows ComputeExponent in later editions
+ */
+function ComputeCompact (internal, data, x, mode) {
+    var patterns = data.compact && (data.compact[internal['[[compactDisplay]]']] || data.compact.short);
+
+    if (!patterns)
+        return undefined;
+
+    var type, exponent, v, n,
+        result = new Record(),
+
+        // The magnitude of x, from its exponential form to avoid Math.log10 errors
+        magnitude = x === 0 ? 0 : Number(toExponentialParts(x)[1]);
+
+    // Rounding can increase the magnitude, e.g. 999999 is 1000K, so try again at the
+    // next magnitude when that happens
+    for (var i = 0; i < 2; i++, magnitude++) {
+        // The patterns for the largest power of ten that isn't larger than x
+        for (type = magnitude; type > 0 && !hop.call(patterns, type); type--)
+            ;
+
+        exponent = type > 0 ? patterns[type].exponent : 0;
+        v = scaleDecimal(x, -exponent);
+
+        if (internal['[[compactRounding]]'])
+            n = magnitude - exponent > 0
+                ? ToRawFixed(v, internal['[[minimumIntegerDigits]]'], 0, 0, 1, mode)
+                : ToRawPrecision(v, 1, 2, mode);
+
+        else if (hop.call(internal, '[[minimumSignificantDigits]]'))
+            n = ToRawPrecision(v, internal['[[minimumSignificantDigits]]'], internal['[[maximumSignificantDigits]]'], mode);
+
+        else
+            n = ToRawFixed(v, internal['[[minimumIntegerDigits]]'], internal['[[minimumFractionDigits]]'],
+                        internal['[[maximumFractionDigits]]'], internal['[[roundingIncrement]]'], mode);
+
+        if (Number(n) < Math.pow(10, magnitude - exponent + 1))
+            break;
+    }
+
+    result['[[exponent]]'] = exponent;
+    result['[[n]]'] = n;
+
+    // The pattern has the plural form for n, e.g. "{number} million" or "{number} millions"
+    if (type > 0) {
+        var category = getPluralCategory(data.plurals && data.plurals.cardinal, n, exponent);
+
+        result['[[pattern]]'] = patterns[type][category] || patterns[type].other;
+    }
+
+    return result;
+}
+
+/**
+ * Returns the locale's long name for a currency in the plural category given, e.g.
+ * "US dollar" or "US dollars", or the currency code if the locale data doesn't have it
+ */
+function getCurrencyName (data, currency, category) {
+    var names = data.currencyNames && data.currencyNames[currency];
+
+    return names ? names[category] || names.other : currency;
+}
+
+/**
+ * Converts x, which must be a finite Number, from the [[unit]] of a NumberFormat to
+ * the unit preferred for its [[usage]] in the [[measurementSystem]].  Returns a Record
+ * with the [[unit]] and x in that unit as [[x]], or undefined if the unit can't be
+ * converted.  The preferences for the usage, or else the "default" usage, are in
+ * order with the smallest magnitude for each, and the first that x is at least in
+ * its unit is used, e.g. 0.5 mi but 1,000 ft for roads in the US.  The last is used
+ * when there isn't one.  Without any preferences for the unit's category, x is scaled
+ * to the largest unit of its scale (see unitScales) that x is at least 1 in.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this follows CLDR's unit preferences.  Mixed units,
+ *       e.g. "5 ft 10 in", are preferred in their largest unit.
+ */
+function ComputeUnit (internal, data, x) {
+    var from = getUnitConversion(internal['[[unit]]']);
+
+    if (!from)
+        return undefined;
+
+    var to, v, i, max,
+        result = new Record(),
+
+        // x in the base unit of the category, e.g. meters
+        base = x * from[1] + (from[2] || 0),
+
+        // The preferences are the locale's region's in its own measurement system, or
+        // else those of the region that the system is for, e.g. the US for "ussystem"
+        ms = internal['[[measurementSystem]]'],
+        list = getUnitPreferences(ms === data.ms[0] ? data.region : msRegions[ms], from[0], internal['[[usage]]']);
+
+    // Each preference is the unit and the smallest magnitude it's preferred for
+    if (list) {
+        for (i = 0, max = list.length; i < max; i++) {
+            to = getUnitConversion(list[i][0]);
+            v = (base - (to[2] || 0)) / to[1];
+
+            if (Math.abs(v) >= list[i][1] || i === max - 1)
+                break;
+        }
+
+        result['[[unit]]'] = list[i][0];
+    }
+
+    else {
+        for (i = 0, max = unitScales.length; i < max; i++) {
+            if (arrIndexOf.call(unitScales[i], internal['[[unit]]']) > -1)
+                list = unitScales[i];
+        }
+
+        if (!list)
+            return undefined;
+
+        for (i = list.length - 1; i > 0; i--) {
+            if (Math.abs(base / unitConversions[list[i]][1]) >= 1)
+                break;
+        }
+
+        to = unitConversions[list[i]];
+        v = base / to[1];
+
+        result['[[unit]]'] = list[i];
+    }
+
+    result['[[x]]'] = v;
+
+    return result;
+}
+
+/**
+ * Returns the preferred units of a region for a category and usage from
+ * unitPreferences, or undefined if there aren't any.  The region's own preferences for
+ * the usage come first, then the world's, and then the "default" usage's of either.
+ */
+function getUnitPreferences (region, category, usage) {
+    var get = function (obj, key) {
+            return obj && hop.call(obj, key) ? obj[key] : undefined;
+        },
+        local = get(get(unitPreferences, region), category),
+        world = get(unitPreferences['001'], category);
+
+    return get(local, usage) || get(world, usage) || get(local, 'default') || get(world, 'default');
+}
+
+/**
+ * Computes scientific or engineering notation for x, which must be a finite, positive
+ * Number or decimal String.  Returns a Record with the [[exponent]] of the power of
+ * ten that x is divided by and x divided and rounded with the unsigned rounding mode
+ * as [[n]].
+ *
+ * NOTE: Not part of ECMA-402 1.0, this follows ComputeExponent in later editions
+ */
+function ComputeScientific (internal, x, mode) {
+    var exponent, n,
+        result = new Record(),
+
+        // The magnitude of x, from its exponential form to avoid Math.log10 errors
+        magnitude = x === 0 ? 0 : Number(toExponentialParts(x)[1]);
+
+    // Rounding can increase the magnitude, e.g. 9.9996 is 10, so try again at the
+    // next magnitude when that happens
+    for (var i = 0; i < 2; i++, magnitude++) {
+        exponent = internal['[[notation]]'] === 'engineering' ? Math.floor(magnitude / 3) * 3 : magnitude;
+
+        var v = scaleDecimal(x, -exponent);
+
+        if (hop.call(internal, '[[minimumSignificantDigits]]'))
+            n = ToRawPrecision(v, internal['[[minimumSignificantDigits]]'], internal['[[maximumSignificantDigits]]'], mode);
+
+        else
+            n = ToRawFixed(v, internal['[[minimumIntegerDigits]]'], internal['[[minimumFractionDigits]]'],
+                        internal['[[maximumFractionDigits]]'], internal['[[roundingIncrement]]'], mode);
+
+        if (Number(n) < Math.pow(10, magnitude - exponent + 1))
+            break;
+    }
+
+    result['[[exponent]]'] = exponent;
+    result['[[n]]'] = n;
+
+    return result;
+}
+
+/**
+ * Returns a List of the parts of a compact or unit pattern, e.g. "{number}K" or
+ * "{0} km", with the parts of the number in place of the placeholder.  The rest of
+ * the pattern has the given type, except for any whitespace around it, which is
+ * literal.  Its parts also have the type as their [[pattern]], for ranges, see
+ * PartitionNumberRangePattern.
+ */
+function insertPatternParts (pattern, placeholder, type, numberParts) {
+    var idx = pattern.indexOf(placeholder),
+        result = new List(),
+        add = function (text) {
+            var m = /^(\s*)([\s\S]*?)(\s*)$/.exec(text);
+
+            if (m[1])
+                arrPush.call(result, { '[[type]]': 'literal', '[[value]]': m[1], '[[pattern]]': type });
+            if (m[2])
+                arrPush.call(result, { '[[type]]': type, '[[value]]': m[2], '[[pattern]]': type });
+            if (m[3])
+                arrPush.call(result, { '[[type]]': 'literal', '[[value]]': m[3], '[[pattern]]': type });
+        };
+
+    // Some plural forms don't have the number, e.g. "لتر" for 1 liter in ar, so the
+    // pattern is the whole result
+    if (idx < 0) {
+        add(pattern);
+        return result;
+    }
+
+    add(pattern.slice(0, idx));
+    arrPush.apply(result, arrSlice.call(numberParts));
+    add(pattern.slice(idx + placeholder.length));
+
+    return result;
+}
+
+/**
+ * Returns the locale's pattern for a unit of a NumberFormat in the plural category
+ * given, e.g. "{0} km" for "kilometer" in the short [[unitDisplay]].  A
+ * compound unit without a pattern of its own is built from the patterns of its
+ * numerator and denominator, e.g. "{0} km/h" from "{0} km" and "{0}/h".  Without any
+ * locale data for the unit, the unit identifier follows the number.
+ */
+function getUnitPattern (internal, data, unit, category) {
+    var display  = internal['[[unitDisplay]]'],
+        units    = data.units && (data.units[display] || data.units.short) || {},
+        idx      = unit.indexOf('-per-'),
+        get      = function (u, c) {
+            return hop.call(units, u) ? units[u][c] || units[u].other : '{0} ' + u;
+        };
+
+    if (idx < 0 || hop.call(units, unit))
+        return get(unit, category);
+
+    var numerator   = get(unit.slice(0, idx), category),
+        denominator = unit.slice(idx + 5),
+        compound    = data.compoundUnitPatterns && data.compoundUnitPatterns[display] || '{0}/{1}';
+
+    // The denominator's "per unit" pattern, e.g. "{0}/h", has the numerator in place of "{0}"
+    if (hop.call(units, denominator) && units[denominator].perUnitPattern)
+        return units[denominator].perUnitPattern.replace('{0}', numerator);
+
+    // Otherwise the compound pattern, e.g. "{0}/{1}", has the numerator in place of "{0}"
+    // and the singular denominator without its number in place of "{1}"
+    return compound.replace('{0}', numerator)
+            .replace('{1}', get(denominator, 'one').replace('{0}', '').replace(/^\s+|\s+$/g, ''));
+}
+
+/**
+ * Returns an Array of the code points in a String, so that digits outside the BMP,
+ * which are surrogate pairs, aren't split.
+ */
+function toCodePoints (str) {
+    return str.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g) || [];
+}
+
+/**
+ * Applies the currency spacing of the locale data to the parts of a formatted number.
+ * When a currency is next to the number, the insertBetween text of the side of the
+ * currency that the number is on goes between them if the currency's character next to
+ * the number is in the currencyMatch set and the number's is in the surroundingMatch
+ * set.  Older locale data doesn't have currency spacing, so CLDR root's is used.
+ * Returns a new List of the parts.
+ */
+function applyCurrencySpacing (parts, spacing, digits) {
+    var result = new List(),
+        // The last character of a part's value, or its first with first true
+        edge = function (part, first) {
+            var cp = toCodePoints(part['[[value]]']);
+
+            return cp[first ? 0 : cp.length - 1];
+        },
+        // Tests the characters either side of a currency against one side's sets
+        spaced = function (side, currency, number) {
+            var sp = spacing[side] || rootCurrencySpacing;
+
+            return currency !== undefined && number !== undefined
+                && testCurrencySpacingSet(sp.currencyMatch, currency, digits)
+                && testCurrencySpacingSet(sp.surroundingMatch, number, digits);
+        },
+        insert = function (side) {
+            arrPush.call(result, {
+                '[[type]]': 'literal',
+                '[[value]]': (spacing[side] || rootCurrencySpacing).insertBetween
+            });
+        };
+
+    for (var i = 0; i < parts.length; i++) {
+        var part = parts[i],
+            prev = parts[i - 1],
+            next = parts[i + 1];
+
+        // "beforeCurrency" is the number before a currency, e.g. "12.00 CHF"
+        if (part['[[type]]'] === 'currency' && prev && hop.call(numberPartTypes, prev['[[type]]'])
+                && spaced('beforeCurrency', edge(part, true), edge(prev)))
+            insert('beforeCurrency');
+
+        arrPush.call(result, part);
+
+        // "afterCurrency" is the number after a currency, e.g. "CHF 12.00"
+        if (part['[[type]]'] === 'currency' && next && hop.call(numberPartTypes, next['[[type]]'])
+                && spaced('afterCurrency', edge(part), edge(next, true)))
+            insert('afterCurrency');
+    }
+
+    return result;
+}
+
+/**
+ * Tests a character against a UnicodeSet of CLDR's currency spacing.  Only the sets
+ * CLDR uses are known: [[:^S:]&[:^Z:]], anything but a symbol or a space, and
+ * [[:digit:]], which is any of the digits of the numbering system.  ES5 regular
+ * expressions don't have Unicode properties, so symbols are the currency symbols, the
+ * Latin-1 symbols and the symbol blocks from U+2100 to U+2BFF.  Other sets don't match.
+ */
+function testCurrencySpacingSet (set, ch, digits) {
+    if (set === '[[:^S:]&[:^Z:]]' || set === '[:^S:]')
+        return !expSymbolChar.test(ch) && (set === '[:^S:]' || !/\s/.test(ch));
+
+    if (set === '[[:digit:]]' || set === '[:digit:]')
+        return /^\d$/.test(ch) || arrIndexOf.call(digits, ch) > -1;
+
+    return false;
+}
+
+/**
+ * Returns the ILD symbol for a sign placeholder in a number pattern.  Older locale
+ * data only has the percent sign, so the others fall back to the CLDR root symbols.
+ */
+function getSignSymbol (ild, sign) {
+    if (hop.call(ild, sign) && ild[sign] !== undefined)
+        return ild[sign];
+
+    return sign === 'percentSign' && ild.percent ? ild.percent : signSymbols[sign];
+}
+
+/**
+ * Adds the literal text of a number pattern to a List of parts.  Older locale data
+ * has the signs as literal characters rather than placeholders, so they are given
+ * their own part types and ILD symbols here.
+ */
+function addLiteralParts (result, literal, ild) {
+    var expSigns = /[\-+%\u2030]/g,
+        lastIndex = 0,
+        match;
+
+    while ((match = expSigns.exec(literal)) !== null) {
+        var sign = match[0] === '-' ? 'minusSign'
+                 : match[0] === '+' ? 'plusSign'
+                 : match[0] === '%' ? 'percentSign' : 'perMille';
+
+        if (match.index > lastIndex)
+            arrPush.call(result, { '[[type]]': 'literal', '[[value]]': literal.slice(lastIndex, match.index) });
+
+        arrPush.call(result, { '[[type]]': signParts[sign], '[[value]]': getSignSymbol(ild, sign) });
+        lastIndex = expSigns.lastIndex;
+    }
+
+    if (lastIndex < literal.length)
+        arrPush.call(result, { '[[type]]': 'literal', '[[value]]': literal.slice(lastIndex) });
+}
+
+// Rounding
+// ========
+// The values of the roundingIncrement option
+var roundingIncrements = [ 1, 2, 5, 10, 20, 25, 50, 100, 200, 250, 500, 1000, 2000, 2500, 5000 ],
+
+    // The rounding of the absolute value for each roundingMode, for positive and for
+    // negative numbers, e.g. "ceil" rounds 1.5 up to 2 but -1.5 down to -1.  "zero" and
+    // "infinity" round towards them, the "half" modes only at the half.
+    unsignedRoundingModes = {
+        ceil:       [ 'infinity', 'zero' ],
+        floor:      [ 'zero', 'infinity' ],
+        expand:     [ 'infinity', 'infinity' ],
+        trunc:      [ 'zero', 'zero' ],
+        halfCeil:   [ 'half-infinity', 'half-zero' ],
+        halfFloor:  [ 'half-zero', 'half-infinity' ],
+        halfExpand: [ 'half-infinity', 'half-infinity' ],
+        halfTrunc:  [ 'half-zero', 'half-zero' ],
+        halfEven:   [ 'half-even', 'half-even' ]
+    };
+
+/**
+ * Returns the rounding of the absolute value of a number for the [[roundingMode]] of a
+ * NumberFormat, see unsignedRoundingModes.
+ */
+function GetUnsignedRoundingMode (internal, negative) {
+    var rm = internal['[[roundingMode]]'] || 'halfExpand';
+
+    return unsignedRoundingModes[rm][negative ? 1 : 0];
+}
+
+/**
+ * Returns the digits of x, with a decimal point after the first, and the exponent of
+ * the first, e.g. [ "1.5", "+3" ] for 1500.  x is a Number or a decimal String from
+ * ToIntlMathematicalValue, which is already in this form.
+ */
+function toExponentialParts (x) {
+    return (typeof x === 'string' ? x : Number.prototype.toExponential.call(x)).split('e');
+}
+
+/**
+ * Returns x × 10ᵖ as a decimal String, by moving the decimal point of x's shortest
+ * digits rather than multiplying, so that e.g. 0.0115 × 100 is 1.15 and not
+ * 1.1500000000000001.  It isn't converted back to a Number, which would round it
+ * again, e.g. 85097193757583.01 for 850971937575.8301 × 100, and can be too large or
+ * small for one.  Zero is returned as it is.
+ */
+function scaleDecimal (x, p) {
+    if (x === 0 || p === 0)
+        return x;
+
+    var exp = toExponentialParts(x),
+        e = Number(exp[1]) + p;
+
+    return exp[0] + 'e' + (e < 0 ? '' : '+') + e;
+}
+
+/**
+ * Rounds x, which must be a finite non-negative number or decimal String, to a
+ * multiple of increment × 10^q and returns the String of the digits of that multiple
+ * divided by 10^q, e.g. 123 for 1.23 when q is -2.  x is rounded as its shortest
+ * decimal digits, as in ToString, rather than its binary value, so 1.005 is a half
+ * and not 1.00499999...
+ */
+function roundDecimal (x, q, increment, mode) {
+    var zeros = '';
+
+    // Increments like 50 are 5 at the next power of ten
+    while (increment % 10 === 0) {
+        increment /= 10;
+        zeros += '0';
+        q++;
+    }
+
+    var lower, tail, k, cmp, up,
+        exp = toExponentialParts(x),
+        digits = exp[0].replace('.', ''),
+
+        // The number of digits that are before the power of ten being rounded to
+        cut = Number(exp[1]) + 1 - q;
+
+    if (cut < 0) {
+        digits = arrJoin.call(Array(-cut + 1), '0') + digits;
+        cut = 0;
+    }
+    else if (cut > digits.length)
+        digits += arrJoin.call(Array(cut - digits.length + 1), '0');
+
+    var n = digits.slice(0, cut) || '0',
+        rest = digits.slice(cut),
+        restNonZero = /[1-9]/.test(rest);
+
+    // 100 is a multiple of every increment, so the last 2 digits are enough for the
+    // remainder, which is taken from them without borrowing
+    tail = n.slice(-2);
+    k = Number(tail) % increment;
+    lower = n.slice(0, -2) + String(1e3 + Number(tail) - k).slice(-tail.length);
+
+    // Compare the distance from lower, k + 0.rest, with the half, increment / 2
+    tail = increment - 2 * k;
+    cmp = tail < 0 ? 1
+        : tail === 0 ? (restNonZero ? 1 : 0)
+        : tail > 1 ? -1
+        : rest.charAt(0) !== '5' ? (rest.charAt(0) > '5' ? 1 : -1)
+        : (/[1-9]/.test(rest.slice(1)) ? 1 : 0);
+
+    // x is only rounded up when it isn't already a multiple of the increment
+    up = (k > 0 || restNonZero) && (mode === 'infinity' || (mode !== 'zero' && (cmp > 0
+            || (cmp === 0 && (mode === 'half-infinity'
+            // 1000 is a multiple of 2 × every increment, so lower is an odd multiple
+            // of the increment when the last 3 digits are
+                || (mode === 'half-even' && Number(lower.slice(-3)) % (2 * increment) !== 0))))));
+
+    if (up) {
+        for (var i = lower.length, carry = increment, sum = ''; carry > 0; carry = Math.floor(carry / 10)) {
+            carry += i > 0 ? Number(lower.charAt(--i)) : 0;
+            sum = carry % 10 + sum;
+        }
+
+        lower = lower.slice(0, i) + sum;
+    }
+
+    lower = lower.replace(/^0+(?=\d)/, '');
+
+    return lower === '0' ? lower : lower + zeros;
+}
+
+/**
+ * When the ToRawPrecision abstract operation is called with arguments x (which
+ * must be a finite non-negative number, or decimal String from
+ * ToIntlMathematicalValue), minPrecision, and maxPrecision (both
+ * must be integers between 1 and 21) the following steps are taken:
+ *
+ * NOTE: The optional argument unsignedRoundingMode, from later editions, is how x is
+ *       rounded, see GetUnsignedRoundingMode.  The default is "half-infinity".
+ */
+function ToRawPrecision (x, minPrecision, maxPrecision, unsignedRoundingMode) {
+    var
+    // 1. Let p be maxPrecision.
+        p = maxPrecision;
+
+    // 2. If x = 0, then
     if (x === 0) {
         var
         // a. Let m be the String consisting of p occurrences of the character "0".
@@ -1587,27 +3366,15 @@ function ToRawPrecision (x, minPrecision, maxPrecision) {
         //    exact mathematical value of n × 10ᵉ⁻ᵖ⁺¹ – x is as close to zero as
         //    possible. If there are two such sets of e and n, pick the e and n for
         //    which n × 10ᵉ⁻ᵖ⁺¹ is larger.
-
-        var idx,
-
-            isInt = x % 1,
-
-            // Fix floating point precision issues in Chrome and Firefox
-            pre = isInt ? Math.pow(10, maxPrecision) : 1,
-
-            // toPrecision already does most of this for us
-            m = Number.prototype.toPrecision.call(x*pre, maxPrecision),
-
-            // Get the exponential value
-            e = (idx = m.indexOf('e')) > -1 ? Number(m.slice(idx + 1))
-                    : ((idx = m.indexOf('.')) > -1 ? idx - 1 : m.length - 1);
-
-        // Multiplying by 10^maxPrecision means we need to take that away from e
-        if (isInt)
-            e -= maxPrecision;
-
-        // Get the numbers without the decimal point
-        m = m.slice(0, m.indexOf('e') > -1 ? idx : m.length).replace('.', '');
+        //    NOTE: Later editions round with unsignedRoundingMode instead.
+        e = Number(toExponentialParts(x)[1]);
+        m = roundDecimal(x, e - p + 1, 1, unsignedRoundingMode || 'half-infinity');
+
+        // Rounding up can add a digit, e.g. 9.99 is 10.0 with 3 digits
+        if (m.length > p) {
+            m = m.slice(0, p);
+            e++;
+        }
     }
 
     // 4. If e ≥ p, then
@@ -1658,37 +3425,69 @@ function ToRawPrecision (x, minPrecision, maxPrecision) {
 
 /**
  * When the ToRawFixed abstract operation is called with arguments x (which must
- * be a finite non-negative number), minInteger (which must be an integer between
- * 1 and 21), minFraction, and maxFraction (which must be integers between 0 and
- * 20) the following steps are taken:
+ * be a finite non-negative number, or decimal String from ToIntlMathematicalValue),
+ * minInteger (which must be an integer between 1 and 21), minFraction, and
+ * maxFraction (which must be integers between 0 and 100 in later editions, 20 in
+ * ECMA-402 1.0) the following steps are taken:
+ *
+ * NOTE: The optional arguments roundingIncrement and unsignedRoundingMode, from later
+ *       editions, round x to a multiple of roundingIncrement × 10⁻ᶠ, see
+ *       GetUnsignedRoundingMode.  The defaults are 1 and "half-infinity".
  */
-function ToRawFixed (x, minInteger, minFraction, maxFraction) {
-    // (or not because Number.toPrototype.toFixed does a lot of it for us)
-    var idx,
+function ToRawFixed (x, minInteger, minFraction, maxFraction, roundingIncrement, unsignedRoundingMode) {
+    var
+    // 1. Let f be maxFraction.
+        f = maxFraction,
 
-        // We can pick up after the fixed formatted string (m) is created
-        m   = Number.prototype.toFixed.call(x, maxFraction),
+    // 2. Let n be an integer for which the exact mathematical value of n ÷ 10ᶠ – x is
+    //    as close to zero as possible. If there are two such n, pick the larger n.
+    // 3. If n = 0, let m be the String "0". Otherwise, let m be the String consisting
+    //    of the digits of the decimal representation of n (in order, with no leading
+    //    zeroes).
+        m = roundDecimal(x, -f, roundingIncrement || 1, unsignedRoundingMode || 'half-infinity'),
 
-        // 4. If [maxFraction] ≠ 0, then
-        //    ...
-        //    e. Let int be the number of characters in a.
-        //
-        // 5. Else let int be the number of characters in m.
-        igr = m.split(".")[0].length,  // int is a reserved word
+        igr;  // int is a reserved word
 
-        // 6. Let cut be maxFraction – minFraction.
-        cut = maxFraction - minFraction,
+    // 4. If f ≠ 0, then
+    if (f !== 0) {
+        var
+        // a. Let k be the number of characters in m.
+            k = m.length;
 
-        exp = (idx = m.indexOf('e')) > -1 ? m.slice(idx + 1) : 0;
+        // b. If k ≤ f, then
+        if (k <= f) {
+            var
+            // i. Let z be the String consisting of f+1–k occurrences of the character "0".
+                z = arrJoin.call(Array(f + 1 - k + 1), '0');
 
-    if (exp) {
-        m = m.slice(0, idx).replace('.', '');
-        m += arrJoin.call(Array(exp - (m.length - 1) + 1), '0')
-          + '.' + arrJoin.call(Array(maxFraction + 1), '0');
+            // ii. Let m be the concatenation of Strings z and m.
+            m = z + m;
 
-        igr = m.length;
+            // iii. Let k be f+1.
+            k = f + 1;
+        }
+
+        var
+        // c. Let a be the first k–f characters of m, and let b be the remaining f
+        //    characters of m.
+            a = m.slice(0, k - f),
+            b = m.slice(k - f);
+
+        // d. Let m be the concatenation of the three Strings a, ".", and b.
+        m = a + '.' + b;
+
+        // e. Let int be the number of characters in a.
+        igr = a.length;
     }
 
+    // 5. Else let int be the number of characters in m.
+    else
+        igr = m.length;
+
+    var
+    // 6. Let cut be maxFraction – minFraction.
+        cut = maxFraction - minFraction;
+
     // 7. Repeat while cut > 0 and the last character of m is "0":
     while (cut > 0 && m.slice(-1) === "0") {
         // a. Remove the last character from m.
@@ -1707,11 +3506,401 @@ function ToRawFixed (x, minInteger, minFraction, maxFraction) {
     if (igr < minInteger)
         // a. Let z be the String consisting of minInteger–int occurrences of the
         //    character "0".
-        var z = arrJoin.call(Array(minInteger - igr + 1), '0');
+        z = arrJoin.call(Array(minInteger - igr + 1), '0');
 
     // 10. Let m be the concatenation of Strings z and m.
     // 11. Return m.
-    return (z ? z : '') + m;
+    return (igr < minInteger ? z : '') + m;
+}
+
+// CLDR plural rules
+// =================
+// The plural rules in the locale data are strings in CLDR's syntax, e.g.
+// "i = 1 and v = 0", which are compiled on first use and cached here
+var pluralRuleCache = objCreate(null),
+
+    // The categories that have rules, in order, "other" is used when none match
+    pluralCategories = [ 'zero', 'one', 'two', 'few', 'many' ];
+
+/**
+ * Returns the plural category of a number, "zero", "one", "two", "few", "many" or
+ * "other", using the CLDR plural rules of a locale.  n is a String of Latin digits
+ * with the visible fraction digits, as "1.0" isn't "one" in English, and e is the
+ * exponent of compact notation.  Without any rules, the category is "other".
+ */
+function getPluralCategory (rules, n, e) {
+    var idx = n.indexOf('.'),
+        fraction = idx > -1 ? n.slice(idx + 1) : '',
+
+        // The operands of CLDR plural rules, see UTS #35
+        operands = {
+            n: Math.abs(Number(n)),
+            i: Math.abs(Number(idx > -1 ? n.slice(0, idx) : n)),
+            v: fraction.length,
+            w: fraction.replace(/0+$/, '').length,
+            f: Number(fraction),
+            t: Number(fraction.replace(/0+$/, '')),
+            e: e || 0,
+            c: e || 0
+        };
+
+    // The rules are tested in CLDR's order, as rules using e can overlap the others
+    for (var i = 0; i < pluralCategories.length; i++) {
+        var k = pluralCategories[i];
+
+        if (rules && hop.call(rules, k) && testPluralRule(rules[k], operands))
+            return k;
+    }
+
+    return 'other';
+}
+
+/**
+ * Tests the operands of a number against a CLDR plural rule, which is a list of
+ * conditions joined by "or", each a list of relations joined by "and"
+ */
+function testPluralRule (rule, operands) {
+    var ors = pluralRuleCache[rule] || (pluralRuleCache[rule] = compilePluralRule(rule));
+
+    for (var i = 0; i < ors.length; i++) {
+        for (var j = 0, ands = ors[i]; j < ands.length; j++) {
+            var rel = ands[j],
+                v = rel.mod ? operands[rel.operand] % rel.mod : operands[rel.operand],
+                found = false;
+
+            // "in" and "=" only match integers, "within" matches anything in a range
+            for (var k = 0; k < rel.ranges.length && !found; k++)
+                found = (rel.within || v % 1 === 0) && v >= rel.ranges[k][0] && v <= rel.ranges[k][1];
+
+            if (found === rel.negate)
+                break;
+        }
+
+        if (j === ands.length)
+            return true;
+    }
+
+    return false;
+}
+
+/**
+ * Compiles a CLDR plural rule into a List of conditions, each a List of relations.
+ * Both the current syntax, e.g. "n % 10 = 1", and the older syntax of CLDR 23 and
+ * earlier, e.g. "n mod 10 is 1", are supported.  A relation that can't be parsed
+ * never matches.
+ */
+function compilePluralRule (rule) {
+    var ret = new List(),
+        expRelation = /^\s*([nivwftce])\s*(?:(?:mod|%)\s*(\d+)\s*)?(is not|is|not in|in|not within|within|!=|=)\s*([\d.,\s]+?)\s*$/,
+        ors = rule.split(/\s+or\s+/);
+
+    for (var i = 0; i < ors.length; i++) {
+        var ands = ors[i].split(/\s+and\s+/),
+            cond = new List();
+
+        for (var j = 0; j < ands.length; j++) {
+            var m = expRelation.exec(ands[j]),
+                ranges = new List();
+
+            if (m) {
+                var list = m[4].split(',');
+
+                for (var k = 0; k < list.length; k++) {
+                    var range = list[k].split('..');
+                    arrPush.call(ranges, [ Number(range[0]), Number(range[range.length - 1]) ]);
+                }
+            }
+
+            arrPush.call(cond, {
+                operand: m ? m[1] : 'n',
+                mod:     m && m[2] ? Number(m[2]) : 0,
+                negate:  m ? /not|!/.test(m[3]) : false,
+                within:  m ? /within/.test(m[3]) : false,
+                ranges:  ranges
+            });
+        }
+
+        arrPush.call(ret, cond);
+    }
+
+    return ret;
+}
+
+// The part types and CLDR root symbols of the sign placeholders in number patterns
+var signParts = {
+        minusSign:   'minusSign',
+        plusSign:    'plusSign',
+        percentSign: 'percentSign',
+        perMille:    'perMille'
+    },
+    signSymbols = {
+        minusSign:   '-',
+        plusSign:    '+',
+        percentSign: '%',
+        perMille:    '\u2030'
+    },
+
+    // CLDR root's currency spacing, for both sides of a currency
+    rootCurrencySpacing = {
+        currencyMatch:    '[[:^S:]&[:^Z:]]',
+        surroundingMatch: '[[:digit:]]',
+        insertBetween:    '\u00a0'
+    },
+
+    // Symbol characters, see testCurrencySpacingSet()
+    expSymbolChar = /[$+<=>\^`|~\u00a2-\u00a6\u00a8\u00a9\u00ac\u00ae-\u00b1\u00b4\u00b8\u00d7\u00f7\u058f\u060b\u07fe\u07ff\u09f2\u09f3\u09fb\u0af1\u0bf9\u0e3f\u17db\u20a0-\u20c0\u2100-\u2bff\ua838\ufdfc\ufe69\uff04\uffe0-\uffe6]/;
+
+// Unit conversions
+// ================
+// The category of each sanctioned unit, its factor to the base unit of the category
+// and any offset, e.g. 1 mile is 1609.344 meters and 0 °C is 273.15 kelvin.  These
+// are from CLDR's unit conversions, but they're constants, so aren't in the locale data.
+var unitConversions = {
+        acre:                  [ 'area', 4046.8564224 ],
+        hectare:               [ 'area', 10000 ],
+        percent:               [ 'concentration', 0.01 ],
+        bit:                   [ 'digital', 1 ],
+        byte:                  [ 'digital', 8 ],
+        kilobit:               [ 'digital', 1e3 ],
+        kilobyte:              [ 'digital', 8e3 ],
+        megabit:               [ 'digital', 1e6 ],
+        megabyte:              [ 'digital', 8e6 ],
+        gigabit:               [ 'digital', 1e9 ],
+        gigabyte:              [ 'digital', 8e9 ],
+        terabit:               [ 'digital', 1e12 ],
+        terabyte:              [ 'digital', 8e12 ],
+        petabyte:              [ 'digital', 8e15 ],
+        nanosecond:            [ 'duration', 1e-9 ],
+        microsecond:           [ 'duration', 1e-6 ],
+        millisecond:           [ 'duration', 1e-3 ],
+        second:                [ 'duration', 1 ],
+        minute:                [ 'duration', 60 ],
+        hour:                  [ 'duration', 3600 ],
+        day:                   [ 'duration', 86400 ],
+        week:                  [ 'duration', 604800 ],
+        month:                 [ 'duration', 2629746 ],
+        year:                  [ 'duration', 31556952 ],
+        degree:                [ 'angle', 1 ],
+        millimeter:            [ 'length', 1e-3 ],
+        centimeter:            [ 'length', 1e-2 ],
+        meter:                 [ 'length', 1 ],
+        kilometer:             [ 'length', 1e3 ],
+        inch:                  [ 'length', 0.0254 ],
+        foot:                  [ 'length', 0.3048 ],
+        yard:                  [ 'length', 0.9144 ],
+        mile:                  [ 'length', 1609.344 ],
+        'mile-scandinavian':   [ 'length', 1e4 ],
+        gram:                  [ 'mass', 1e-3 ],
+        kilogram:              [ 'mass', 1 ],
+        ounce:                 [ 'mass', 0.028349523125 ],
+        pound:                 [ 'mass', 0.45359237 ],
+        stone:                 [ 'mass', 6.35029318 ],
+        celsius:               [ 'temperature', 1, 273.15 ],
+        fahrenheit:            [ 'temperature', 5 / 9, 2298.35 / 9 ],
+        milliliter:            [ 'volume', 1e-6 ],
+        liter:                 [ 'volume', 1e-3 ],
+        'fluid-ounce':         [ 'volume', 0.0000295735295625 ],
+        gallon:                [ 'volume', 0.003785411784 ]
+    },
+
+    // The categories of compound units that have unit preferences
+    compoundUnitCategories = {
+        'length-per-duration': 'speed'
+    },
+
+    // Units that are scaled by magnitude, e.g. 1500 bytes is 1.5 kilobytes, when there
+    // aren't any preferences for the category
+    unitScales = [
+        [ 'byte', 'kilobyte', 'megabyte', 'gigabyte', 'terabyte', 'petabyte' ],
+        [ 'bit', 'kilobit', 'megabit', 'gigabit', 'terabit' ],
+        [ 'millimeter', 'centimeter', 'meter', 'kilometer' ],
+        [ 'gram', 'kilogram' ],
+        [ 'milliliter', 'liter' ],
+        [ 'nanosecond', 'microsecond', 'millisecond', 'second', 'minute', 'hour', 'day' ]
+    ],
+
+    // The region whose unit preferences are used for each measurement system of the
+    // 'ms' key, other than the locale's own
+    msRegions = { metric: '001', ussystem: 'US', uksystem: 'GB' },
+
+    // The regions that don't use the metric system, for older locale data without the
+    // measurement systems of the 'ms' key
+    regionMeasurementSystems = { GB: 'uksystem', LR: 'ussystem', MM: 'uksystem', US: 'ussystem' },
+
+    // The preferred units of each region by category and usage, from CLDR's unit
+    // preferences, output from tools/getIntlData.js units.  Each is the unit and the
+    // smallest magnitude it's preferred for.  The world's (001) are used for the usages
+    // that a region doesn't have its own preferences for.
+    unitPreferences = {
+        '001': {
+            area: { 'default': [ [ 'hectare', 1 ] ], land: [ [ 'hectare', 1 ] ] },
+            duration: {
+                'default': [
+                    [ 'day', 1 ],
+                    [ 'hour', 1 ],
+                    [ 'minute', 1 ],
+                    [ 'second', 1 ],
+                    [ 'millisecond', 1 ],
+                    [ 'microsecond', 1 ],
+                    [ 'nanosecond', 1 ]
+                ],
+                media: [ [ 'minute', 1 ], [ 'second', 1 ] ]
+            },
+            length: {
+                'default': [ [ 'kilometer', 1 ], [ 'meter', 1 ], [ 'centimeter', 1 ] ],
+                'focal-length': [ [ 'millimeter', 1 ] ],
+                person: [ [ 'centimeter', 1 ] ],
+                'person-height': [ [ 'centimeter', 1 ] ],
+                rainfall: [ [ 'millimeter', 1 ] ],
+                road: [ [ 'kilometer', 0.9 ], [ 'meter', 1 ] ],
+                snowfall: [ [ 'centimeter', 1 ] ],
+                vehicle: [ [ 'meter', 1 ] ],
+                visiblty: [ [ 'kilometer', 0.1 ], [ 'meter', 1 ] ]
+            },
+            mass: {
+                'default': [ [ 'kilogram', 1 ], [ 'gram', 1 ] ],
+                person: [ [ 'kilogram', 1 ], [ 'gram', 1 ] ]
+            },
+            speed: {
+                'default': [ [ 'kilometer-per-hour', 1 ] ],
+                rainfall: [ [ 'millimeter-per-hour', 1 ] ],
+                snowfall: [ [ 'centimeter-per-hour', 1 ] ],
+                wind: [ [ 'kilometer-per-hour', 1 ] ]
+            },
+            temperature: { 'default': [ [ 'celsius', 1 ] ], weather: [ [ 'celsius', 1 ] ] },
+            volume: { fluid: [ [ 'liter', 1 ], [ 'milliliter', 1 ] ], vehicle: [ [ 'liter', 1 ] ] },
+            'year-duration': { 'default': [ [ 'year', 1 ], [ 'month', 1 ] ] }
+        },
+        AT: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        BE: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        BR: {
+            consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] },
+            length: { rainfall: [ [ 'centimeter', 1 ] ] },
+            speed: { rainfall: [ [ 'centimeter-per-hour', 1 ] ] }
+        },
+        BS: { temperature: { weather: [ [ 'fahrenheit', 1 ] ] } },
+        BZ: { temperature: { weather: [ [ 'fahrenheit', 1 ] ] } },
+        CA: {
+            length: { person: [ [ 'inch', 1 ] ], 'person-height': [ [ 'foot', 3 ], [ 'inch', 1 ] ] }
+        },
+        CN: { speed: { wind: [ [ 'meter-per-second', 1 ] ] } },
+        DE: { length: { visiblty: [ [ 'meter', 1 ] ] } },
+        DK: { speed: { wind: [ [ 'meter-per-second', 1 ] ] } },
+        DZ: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        EG: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        ES: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        FI: { speed: { wind: [ [ 'meter-per-second', 1 ] ] } },
+        FR: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        GB: {
+            area: { 'default': [ [ 'acre', 1 ] ], land: [ [ 'acre', 1 ] ] },
+            length: {
+                'default': [ [ 'mile', 1 ], [ 'foot', 1 ], [ 'inch', 1 ] ],
+                person: [ [ 'inch', 1 ] ],
+                'person-height': [ [ 'foot', 3 ], [ 'inch', 1 ] ],
+                road: [ [ 'mile', 0.5 ], [ 'yard', 1 ] ],
+                vehicle: [ [ 'foot', 1 ] ],
+                visiblty: [ [ 'mile', 1 ], [ 'foot', 1 ] ]
+            },
+            mass: {
+                'default': [ [ 'pound', 1 ], [ 'ounce', 1 ] ],
+                person: [ [ 'stone', 1 ], [ 'pound', 1 ] ]
+            },
+            speed: { 'default': [ [ 'mile-per-hour', 1 ] ], wind: [ [ 'mile-per-hour', 1 ] ] }
+        },
+        HK: {
+            length: { 'person-height': [ [ 'meter', 1 ] ] },
+            mass: { person: [ [ 'pound', 1 ] ] }
+        },
+        ID: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        IL: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        IN: {
+            length: { person: [ [ 'inch', 1 ] ], 'person-height': [ [ 'foot', 3 ], [ 'inch', 1 ] ] }
+        },
+        IT: {
+            consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] },
+            length: { 'person-height': [ [ 'meter', 1 ] ] }
+        },
+        JO: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        JP: {
+            consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] },
+            speed: { wind: [ [ 'meter-per-second', 1 ] ] }
+        },
+        KR: {
+            consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] },
+            speed: { wind: [ [ 'meter-per-second', 1 ] ] }
+        },
+        KY: { temperature: { weather: [ [ 'fahrenheit', 1 ] ] } },
+        MX: { consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] } },
+        MY: {
+            consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] },
+            length: { 'person-height': [ [ 'meter', 1 ] ] }
+        },
+        NL: {
+            consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] },
+            length: { visiblty: [ [ 'meter', 1 ] ] }
+        },
+        NO: { speed: { wind: [ [ 'meter-per-second', 1 ] ] } },
+        PL: { speed: { wind: [ [ 'meter-per-second', 1 ] ] } },
+        PR: { temperature: { weather: [ [ 'fahrenheit', 1 ] ] } },
+        PW: { temperature: { weather: [ [ 'fahrenheit', 1 ] ] } },
+        RU: { speed: { wind: [ [ 'meter-per-second', 1 ] ] } },
+        SA: { length: { 'person-height': [ [ 'meter', 1 ] ] } },
+        SE: {
+            length: {
+                'person-height': [ [ 'meter', 1 ] ],
+                road: [ [ 'mile-scandinavian', 1 ], [ 'kilometer', 1 ], [ 'meter', 1 ] ]
+            },
+            speed: { wind: [ [ 'meter-per-second', 1 ] ] }
+        },
+        TH: { consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] } },
+        TR: {
+            consumption: { 'vehicle-fuel': [ [ 'liter-per-kilometer', 1 ] ] },
+            length: { 'person-height': [ [ 'meter', 1 ] ] }
+        },
+        US: {
+            area: { 'default': [ [ 'acre', 1 ] ], land: [ [ 'acre', 1 ] ] },
+            consumption: { 'vehicle-fuel': [ [ 'mile-per-gallon', 1 ] ] },
+            length: {
+                'default': [ [ 'mile', 1 ], [ 'foot', 1 ], [ 'inch', 1 ] ],
+                person: [ [ 'inch', 1 ] ],
+                'person-height': [ [ 'foot', 3 ], [ 'inch', 1 ] ],
+                rainfall: [ [ 'inch', 1 ] ],
+                road: [ [ 'mile', 0.5 ], [ 'foot', 1 ] ],
+                snowfall: [ [ 'inch', 1 ] ],
+                vehicle: [ [ 'foot', 1 ] ],
+                visiblty: [ [ 'mile', 1 ], [ 'foot', 1 ] ]
+            },
+            mass: { 'default': [ [ 'pound', 1 ], [ 'ounce', 1 ] ], person: [ [ 'pound', 1 ] ] },
+            speed: {
+                'default': [ [ 'mile-per-hour', 1 ] ],
+                rainfall: [ [ 'inch-per-hour', 1 ] ],
+                snowfall: [ [ 'inch-per-hour', 1 ] ],
+                wind: [ [ 'mile-per-hour', 1 ] ]
+            },
+            temperature: { 'default': [ [ 'fahrenheit', 1 ] ], weather: [ [ 'fahrenheit', 1 ] ] },
+            volume: {
+                fluid: [ [ 'gallon', 1 ], [ 'fluid-ounce', 1 ] ],
+                vehicle: [ [ 'gallon', 1 ] ]
+            }
+        },
+        VN: { length: { 'person-height': [ [ 'meter', 1 ] ] } }
+    };
+
+/**
+ * Returns the category, factor and offset of a simple or compound unit in the form
+ * of unitConversions above, or undefined if the unit can't be converted.  The factor
+ * of a compound unit is its numerator's divided by its denominator's.
+ */
+function getUnitConversion (unit) {
+    if (hop.call(unitConversions, unit))
+        return unitConversions[unit];
+
+    var idx = unit.indexOf('-per-'),
+        num = idx > -1 && unitConversions[unit.slice(0, idx)],
+        den = idx > -1 && unitConversions[unit.slice(idx + 5)],
+        cat = num && den && compoundUnitCategories[num[0] + '-per-' + den[0]];
+
+    return cat ? [ cat, num[1] / den[1] ] : undefined;
 }
 
 // Sect 11.3.2 Table 2, Numbering systems
@@ -1741,6 +3930,252 @@ var numSys = {
     tibt:    [ '\u0F20', '\u0F21', '\u0F22', '\u0F23', '\u0F24', '\u0F25', '\u0F26', '\u0F27', '\u0F28', '\u0F29' ]
 };
 
+// Algorithmic numbering systems, used by step 3f of FormatNumber
+// ==============================================================
+// These are the additive systems from the CLDR rule-based number formats.  Each
+// function takes a positive integer and returns its representation, or undefined
+// if the integer is out of the system's range.
+var algNumSys = {
+    // Armenian uppercase letters, 1 to 9999
+    armn: function (n) {
+        return n > 0 && n < 10000 ? toAdditive(n, [
+            [ '\u0531', '\u0532', '\u0533', '\u0534', '\u0535', '\u0536', '\u0537', '\u0538', '\u0539' ],
+            [ '\u053A', '\u053B', '\u053C', '\u053D', '\u053E', '\u053F', '\u0540', '\u0541', '\u0542' ],
+            [ '\u0543', '\u0544', '\u0545', '\u0546', '\u0547', '\u0548', '\u0549', '\u054A', '\u054B' ],
+            [ '\u054C', '\u054D', '\u054E', '\u054F', '\u0550', '\u0551', '\u0552', '\u0553', '\u0554' ]
+        ]) : undefined;
+    },
+
+    // Ethiopic numerals, 1 to 99999999.  Pairs of digits are separated by HUNDRED
+    // and TEN THOUSAND, and ONE is omitted before a leading or HUNDRED separator.
+    ethi: function (n) {
+        if (!(n > 0 && n < 100000000))
+            return undefined;
+
+        var ones = [ '', '\u1369', '\u136A', '\u136B', '\u136C', '\u136D', '\u136E', '\u136F', '\u1370', '\u1371' ],
+            tens = [ '', '\u1372', '\u1373', '\u1374', '\u1375', '\u1376', '\u1377', '\u1378', '\u1379', '\u137A' ],
+            pairs = [],
+            ret = '';
+
+        for (; n > 0; n = Math.floor(n / 100))
+            arrPush.call(pairs, n % 100);
+
+        for (var i = pairs.length - 1; i >= 0; i--) {
+            var v = pairs[i];
+
+            if (v > 1 || (v === 1 && (i === 0 || (i % 2 === 0 && i < pairs.length - 1))))
+                ret += tens[Math.floor(v / 10)] + ones[v % 10];
+
+            // HUNDRED follows odd pairs, TEN THOUSAND follows even pairs unless both
+            // pairs of that ten thousand are 0
+            if (i % 2 === 1 && v > 0)
+                ret += '\u137B';
+            else if (i === 2 && (v > 0 || pairs[3] > 0))
+                ret += '\u137C';
+        }
+
+        return ret;
+    },
+
+    // Georgian letters, 1 to 19999
+    geor: function (n) {
+        return n > 0 && n < 20000 ? toAdditive(n, [
+            [ '\u10D0', '\u10D1', '\u10D2', '\u10D3', '\u10D4', '\u10D5', '\u10D6', '\u10F1', '\u10D7' ],
+            [ '\u10D8', '\u10D9', '\u10DA', '\u10DB', '\u10DC', '\u10F2', '\u10DD', '\u10DE', '\u10DF' ],
+            [ '\u10E0', '\u10E1', '\u10E2', '\u10F3', '\u10E4', '\u10E5', '\u10E6', '\u10E7', '\u10E8' ],
+            [ '\u10E9', '\u10EA', '\u10EB', '\u10EC', '\u10ED', '\u10EE', '\u10F4', '\u10EF', '\u10F0' ],
+            [ '\u10F5' ]
+        ]) : undefined;
+    },
+
+    // Greek uppercase letters followed by a keraia, 1 to 9999.  Thousands are
+    // preceded by a lower numeral sign.
+    grek: function (n) {
+        return n > 0 && n < 10000 ? toAdditive(n, [
+            [ '\u0391', '\u0392', '\u0393', '\u0394', '\u0395', '\u03DA', '\u0396', '\u0397', '\u0398' ],
+            [ '\u0399', '\u039A', '\u039B', '\u039C', '\u039D', '\u039E', '\u039F', '\u03A0', '\u03DE' ],
+            [ '\u03A1', '\u03A3', '\u03A4', '\u03A5', '\u03A6', '\u03A7', '\u03A8', '\u03A9', '\u03E0' ],
+            [ '\u0375\u0391', '\u0375\u0392', '\u0375\u0393', '\u0375\u0394', '\u0375\u0395',
+              '\u0375\u03DA', '\u0375\u0396', '\u0375\u0397', '\u0375\u0398' ]
+        ]) + '\u0374' : undefined;
+    },
+
+    // Chinese and Japanese numerals, 0 to 9999999999999999, in simplified, traditional
+    // and financial forms
+    hans:    function (n) { return toCJK(n, cjkNumSys.hans); },
+    hansfin: function (n) { return toCJK(n, cjkNumSys.hansfin); },
+    hant:    function (n) { return toCJK(n, cjkNumSys.hant); },
+    hantfin: function (n) { return toCJK(n, cjkNumSys.hantfin); },
+
+    // Hebrew letters, 1 to 999999.  Thousands are followed by a geresh, and the
+    // rest has a geresh after a single letter or a gershayim before the last one.
+    hebr: function (n) {
+        if (!(n > 0 && n < 1000000))
+            return undefined;
+
+        var thousands = Math.floor(n / 1000),
+            rest = n % 1000,
+            ret = thousands ? toHebrew(thousands) + '\u05F3' : '';
+
+        if (rest) {
+            rest = toHebrew(rest);
+            ret += rest.length === 1 ? rest + '\u05F3' : rest.slice(0, -1) + '\u05F4' + rest.slice(-1);
+        }
+
+        return ret;
+    },
+
+    // Japanese numerals, see above
+    jpan:    function (n) { return toCJK(n, cjkNumSys.jpan); },
+    jpanfin: function (n) { return toCJK(n, cjkNumSys.jpanfin); },
+
+    // Roman uppercase numerals, 1 to 3999
+    roman: function (n) {
+        return n > 0 && n < 4000 ? toAdditive(n, [
+            [ 'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX' ],
+            [ 'X', 'XX', 'XXX', 'XL', 'L', 'LX', 'LXX', 'LXXX', 'XC' ],
+            [ 'C', 'CC', 'CCC', 'CD', 'D', 'DC', 'DCC', 'DCCC', 'CM' ],
+            [ 'M', 'MM', 'MMM' ]
+        ]) : undefined;
+    }
+};
+
+/**
+ * Returns the representation of a positive integer in an additive numbering system,
+ * where symbols[i][d - 1] is the symbol for the digit d at the power of ten i.
+ */
+function toAdditive (n, symbols) {
+    var ret = '';
+
+    for (var i = 0; n > 0; i++, n = Math.floor(n / 10)) {
+        if (n % 10)
+            ret = symbols[i][n % 10 - 1] + ret;
+    }
+
+    return ret;
+}
+
+// The digits, the units within a myriad (10,000) and the myriads of the CJK systems.
+// zero is whether a zero is written between non-zero digits, e.g. 一千零一 for 1001,
+// and omitOne is where ONE is omitted before a unit, e.g. 十二 for 12.
+var cjkNumSys = {
+    hans: {
+        digits:  [ '\u96F6', '\u4E00', '\u4E8C', '\u4E09', '\u56DB', '\u4E94', '\u516D', '\u4E03', '\u516B', '\u4E5D' ],
+        units:   [ '', '\u5341', '\u767E', '\u5343' ],
+        myriads: [ '', '\u4E07', '\u4EBF', '\u4E07\u4EBF' ],
+        zero:    true,
+        omitOne: 'leading'
+    },
+    hansfin: {
+        digits:  [ '\u96F6', '\u58F9', '\u8D30', '\u53C1', '\u8086', '\u4F0D', '\u9646', '\u67D2', '\u634C', '\u7396' ],
+        units:   [ '', '\u62FE', '\u4F70', '\u4EDF' ],
+        myriads: [ '', '\u4E07', '\u4EBF', '\u4E07\u4EBF' ],
+        zero:    true
+    },
+    hant: {
+        digits:  [ '\u96F6', '\u4E00', '\u4E8C', '\u4E09', '\u56DB', '\u4E94', '\u516D', '\u4E03', '\u516B', '\u4E5D' ],
+        units:   [ '', '\u5341', '\u767E', '\u5343' ],
+        myriads: [ '', '\u842C', '\u5104', '\u842C\u5104' ],
+        zero:    true,
+        omitOne: 'leading'
+    },
+    hantfin: {
+        digits:  [ '\u96F6', '\u58F9', '\u8CB3', '\u53C3', '\u8086', '\u4F0D', '\u9678', '\u67D2', '\u634C', '\u7396' ],
+        units:   [ '', '\u62FE', '\u4F70', '\u4EDF' ],
+        myriads: [ '', '\u842C', '\u5104', '\u842C\u5104' ],
+        zero:    true
+    },
+    jpan: {
+        digits:  [ '\u3007', '\u4E00', '\u4E8C', '\u4E09', '\u56DB', '\u4E94', '\u516D', '\u4E03', '\u516B', '\u4E5D' ],
+        units:   [ '', '\u5341', '\u767E', '\u5343' ],
+        myriads: [ '', '\u4E07', '\u5104', '\u5146' ],
+        zero:    false,
+        omitOne: 'all'
+    },
+    jpanfin: {
+        digits:  [ '\u96F6', '\u58F1', '\u5F10', '\u53C2', '\u56DB', '\u4E94', '\u516D', '\u4E03', '\u516B', '\u4E5D' ],
+        units:   [ '', '\u62FE', '\u767E', '\u5343' ],
+        myriads: [ '', '\u4E07', '\u5104', '\u5146' ],
+        zero:    false
+    }
+};
+
+/**
+ * Returns the representation of an integer in one of the CJK systems above.  Each
+ * non-zero digit is followed by its unit, and each non-zero myriad by its myriad.
+ */
+function toCJK (n, sys) {
+    if (!(n >= 0 && n < 1e16))
+        return undefined;
+
+    if (n === 0)
+        return sys.digits[0];
+
+    var str = String(n),
+        ret = '',
+        zero = false,
+        myriad = false;
+
+    for (var i = 0, max = str.length; i < max; i++) {
+        var d = +str.charAt(i),
+            pos = max - i - 1,
+            unit = pos % 4,
+            m = (pos - unit) / 4;
+
+        // Zeros are only written once, between non-zero digits
+        if (d === 0)
+            zero = ret !== '';
+
+        else {
+            if (zero && sys.zero)
+                ret += sys.digits[0];
+
+            // ONE is omitted before 十 at the start of the number (or before any unit
+            // in Japanese, except for 千 before a myriad), but never in financial forms
+            if (d === 1 && unit > 0 && (sys.omitOne === 'leading' && unit === 1 && ret === ''
+                    || sys.omitOne === 'all' && !(unit === 3 && m > 0)))
+                ret += sys.units[unit];
+            else
+                ret += sys.digits[d] + sys.units[unit];
+
+            zero = false;
+            myriad = true;
+        }
+
+        if (unit === 0 && myriad) {
+            ret += sys.myriads[m];
+            myriad = false;
+        }
+    }
+
+    return ret;
+}
+
+/**
+ * Returns the Hebrew letters for an integer from 1 to 999, without punctuation.  The
+ * hundreds above 400 are repeated TAVs, and 15 and 16 are written as 9 + 6 and 9 + 7
+ * to avoid spelling the name of God.
+ */
+function toHebrew (n) {
+    var ret = '',
+        hundreds = Math.floor(n / 100),
+        rest = n % 100;
+
+    for (; hundreds >= 4; hundreds -= 4)
+        ret += '\u05EA';
+
+    if (hundreds)
+        ret += [ '\u05E7', '\u05E8', '\u05E9' ][hundreds - 1];
+
+    if (rest === 15 || rest === 16)
+        return ret + '\u05D8' + (rest === 15 ? '\u05D5' : '\u05D6');
+
+    return ret + toAdditive(rest, [
+        [ '\u05D0', '\u05D1', '\u05D2', '\u05D3', '\u05D4', '\u05D5', '\u05D6', '\u05D7', '\u05D8' ],
+        [ '\u05D9', '\u05DB', '\u05DC', '\u05DE', '\u05E0', '\u05E1', '\u05E2', '\u05E4', '\u05E6' ]
+    ]);
+}
+
 /**
  * This function provides access to the locale and formatting options computed
  * during initialization of the object.
@@ -1762,8 +4197,11 @@ var numSys = {
             descs = new Record(),
             props = [
                 'locale', 'numberingSystem', 'style', 'currency', 'currencyDisplay',
+                'currencySign', 'currencyUsage', 'unit', 'unitDisplay', 'usage',
                 'minimumIntegerDigits', 'minimumFractionDigits', 'maximumFractionDigits',
-                'minimumSignificantDigits', 'maximumSignificantDigits', 'useGrouping'
+                'minimumSignificantDigits', 'maximumSignificantDigits', 'useGrouping',
+                'notation', 'compactDisplay', 'signDisplay', 'roundingMode',
+                'roundingIncrement', 'trailingZeroDisplay'
             ],
             internal = this != null && typeof this === 'object' && getInternalProperties(this);
 
@@ -1897,16 +4335,19 @@ function/* 12.1.1.1 */InitializeDateTimeFormat (dateTimeFormat, locales, options
     // 16. If tz is not undefined, then
     if (tz !== undefined) {
         // a. Let tz be ToString(tz).
+        tz = String(tz);
+
         // b. Convert tz to upper case as described in 6.1.
         //    NOTE: If an implementation accepts additional time zone values, as permitted
         //          under certain conditions by the Conformance clause, different casing
         //          rules apply.
-        tz = toLatinUpperCase(tz);
-
         // c. If tz is not "UTC", then throw a RangeError exception.
-        // ###TODO: accept more time zones###
-        if (tz !== 'UTC')
-            throw new RangeError('timeZone is not supported.');
+        //    NOTE: We accept any zone or link name from the time zone data added using
+        //          Intl.__addTimeZoneData(), following the steps of later editions.
+        if (!IsValidTimeZoneName(tz))
+            throw new RangeError("'" + tz + "' is not a supported time zone.");
+
+        tz = CanonicalizeTimeZoneName(tz);
     }
 
     // 17. Set the [[timeZone]] internal property of dateTimeFormat to tz.
@@ -2317,6 +4758,35 @@ function BestFitFormatMatcher (options, formats) {
     }
 });
 
+/**
+ * This method formats a date in the same way as format(), but returns an Array of
+ * objects, each with a type and a value, for the date and time components and the
+ * literal text between them. The values of the parts, joined together, are the result
+ * of format().
+ *
+ * NOTE: Not part of ECMA-402 1.0, but added in later editions
+ */
+defineProperty(Intl.DateTimeFormat.prototype, 'formatToParts', {
+    configurable: true,
+    writable: true,
+    value: function () {
+        var internal = this != null && typeof this === 'object' && getInternalProperties(this);
+
+        if (!internal || !internal['[[initializedDateTimeFormat]]'])
+            throw new TypeError('`this` value for formatToParts() is not an initialized Intl.DateTimeFormat object.');
+
+        var
+            x = Number(arguments.length === 0 || arguments[0] === undefined ? Date.now() : arguments[0]),
+            parts  = PartitionDateTimePattern(this, x),
+            result = [];
+
+        for (var i = 0, max = parts.length; i < max; i++)
+            arrPush.call(result, { type: parts[i]['[[type]]'], value: parts[i]['[[value]]'] });
+
+        return result;
+    }
+});
+
 /**
  * When the FormatDateTime abstract operation is called with arguments dateTimeFormat
  * (which must be an object initialized as a DateTimeFormat) and x (which must be a Number
@@ -2325,6 +4795,29 @@ function BestFitFormatMatcher (options, formats) {
  * options of dateTimeFormat.
  */
 function FormatDateTime(dateTimeFormat, x) {
+    var
+        // Formatting is done in parts, which formatToParts() returns as they are
+        parts = PartitionDateTimePattern(dateTimeFormat, x),
+        result = '';
+
+    // Join the values of the parts to get the same String value
+    for (var i = 0, max = parts.length; i < max; i++)
+        result += parts[i]['[[value]]'];
+
+    return result;
+}
+
+/**
+ * The PartitionDateTimePattern abstract operation is called with arguments
+ * dateTimeFormat (which must be an object initialized as a DateTimeFormat) and x
+ * (which must be a Number value). It interprets x as described for FormatDateTime,
+ * but returns a List of Records with [[type]] and [[value]] fields, one for each
+ * component in the pattern and for the literal text between them.
+ *
+ * NOTE: Not part of ECMA-402 1.0, this is the FormatDateTime algorithm split into
+ *       parts as in later editions of the specification.
+ */
+function PartitionDateTimePattern(dateTimeFormat, x) {
     // 1. If x is not a finite Number, then throw a RangeError exception.
     if (!isFinite(x))
         throw new RangeError('Invalid valid date passed to format');
@@ -2355,14 +4848,20 @@ function FormatDateTime(dateTimeFormat, x) {
         tm = ToLocalTime(x, internal['[[calendar]]'], internal['[[timeZone]]']),
 
     // 6. Let result be the value of the [[pattern]] internal property of dateTimeFormat.
-        result = internal['[[pattern]]'],
+        pattern = internal['[[pattern]]'],
+
+    // The formatted value of each component, keyed by the name of its placeholder
+        values = objCreate(null),
 
     // Need the locale minus any extensions
         dataLocale = internal['[[dataLocale]]'],
 
     // Need the calendar data from CLDR
         localeData = internals.DateTimeFormat['[[localeData]]'][dataLocale].calendars,
-        ca = internal['[[calendar]]'];
+        ca = internal['[[calendar]]'],
+
+    // ...and the time zone names, which older locale data may not have
+        zoneNames = internals.DateTimeFormat['[[localeData]]'][dataLocale].timeZoneNames || {};
 
     // 7. For each row of Table 3, except the header row, do:
     for (var p in dateTimeComponents) {
@@ -2412,14 +4911,20 @@ function FormatDateTime(dateTimeFormat, x) {
 
             // viii. Else if f is "2-digit", then
             else if (f === '2-digit') {
+                // The algorithmic numbering systems aren't positional, so the last two
+                // digits of v are formatted instead
+                if (hop.call(algNumSys, internal['[[numberingSystem]]']))
+                    v %= 100;
+
                 // 1. Let fv be the result of calling the FormatNumber abstract operation
                 //    with arguments nf2 and v.
                 fv = FormatNumber(nf2, v);
 
                 // 2. If the length of fv is greater than 2, let fv be the substring of fv
                 //    containing the last two characters.
-                if (fv.length > 2)
-                    fv = fv.slice(-2);
+                //    NOTE: Characters are code points, for digits outside the BMP
+                if (toCodePoints(fv).length > 2 && !hop.call(algNumSys, internal['[[numberingSystem]]']))
+                    fv = arrJoin.call(toCodePoints(fv).slice(-2), '');
             }
 
             // ix. Else if f is "narrow", "short", or "long", then let fv be a String
@@ -2444,11 +4949,18 @@ function FormatDateTime(dateTimeFormat, x) {
                         }
                         break;
 
-                    case 'timeZoneName':
-                        fv = ''; // TODO
-                        break;
-
-                    // TODO: Era
+                    case 'timeZoneName':
+                        fv = resolveTimeZoneName(zoneNames, internal['[[timeZone]]'], f, x, tm, nf, nf2);
+                        break;
+
+                    case 'era':
+                        try {
+                            fv = resolveDateString(localeData, ca, 'eras', f, tm['[['+ p +']]']);
+                        } catch (e) {
+                            throw new Error('Could not find era data for locale '+locale);
+                        }
+                        break;
+
                     default:
                         fv = tm['[['+ p +']]'];
                 }
@@ -2456,7 +4968,7 @@ function FormatDateTime(dateTimeFormat, x) {
 
             // x. Replace the substring of result that consists of "{", p, and "}", with
             //    fv.
-            result = result.replace('{'+ p +'}', fv);
+            values[p] = fv;
         }
     }
     // 8. If dateTimeFormat has an internal property [[hour12]] whose value is true, then
@@ -2467,9 +4979,36 @@ function FormatDateTime(dateTimeFormat, x) {
         fv = resolveDateString(localeData, ca, 'dayPeriods', pm ? 'pm' : 'am');
 
         // b. Replace the substring of result that consists of "{ampm}", with fv.
-        result = result.replace('{ampm}', fv);
+        values.ampm = fv;
+    }
+
+    var
+        result = new List(),
+        expPlaceholder = /\{(\w+)\}/g,
+        lastIndex = 0,
+        match;
+
+    // Each "{placeholder}" in the pattern is a part, the text around them is literal
+    while ((match = expPlaceholder.exec(pattern)) !== null) {
+        if (match.index > lastIndex)
+            arrPush.call(result, { '[[type]]': 'literal', '[[value]]': pattern.slice(lastIndex, match.index) });
+
+        lastIndex = expPlaceholder.lastIndex;
+
+        if (match[1] in values)
+            arrPush.call(result, {
+                '[[type]]': match[1] === 'ampm' ? 'dayPeriod' : match[1],
+                '[[value]]': values[match[1]]
+            });
+
+        // Placeholders without a value are left as they are
+        else
+            arrPush.call(result, { '[[type]]': 'literal', '[[value]]': match[0] });
     }
 
+    if (lastIndex < pattern.length)
+        arrPush.call(result, { '[[type]]': 'literal', '[[value]]': pattern.slice(lastIndex) });
+
     // Restore properties of the RegExp object
     regexpState.exp.test(regexpState.input);
 
@@ -2490,22 +5029,45 @@ function ToLocalTime(date, calendar, timeZone) {
     //    bound by the restrictions on the use of best available information on time zones
     //    for local time zone adjustment and daylight saving time adjustment imposed by
     //    ES5, 15.9.1.7 and 15.9.1.8.
-    // ###TODO###
-    var d = new Date(date);
+    // ###TODO: calendars other than gregory###
+    var d, inDST, offset, period, year,
+        get = 'get';
+
+    // Without a time zone, we can only use the host environment's local time
+    if (timeZone === undefined) {
+        d = new Date(date);
+        inDST = isHostDST(d);
+        offset = -d.getTimezoneOffset() * 60;
+    }
+    // Otherwise, shift the date by the zone's offset and use the UTC methods
+    else {
+        period = getTimeZonePeriod(timeZone, date);
+        d = new Date(date + period.offset * 1000);
+        inDST = period.dst;
+        offset = period.offset;
+        get = 'getUTC';
+    }
+
+    // Years are astronomical, so 0 is 1 BC.  The Gregorian calendar's eras are 0 for
+    // BC (BCE) and 1 for AD (CE), which is also the order of the CLDR era names.
+    year = d[get + 'FullYear']();
 
     // 2. Return a Record with fields [[weekday]], [[era]], [[year]], [[month]], [[day]],
     //    [[hour]], [[minute]], [[second]], and [[inDST]], each with the corresponding
     //    calculated value.
     return new Record({
-        '[[weekday]]': d.getDay(),
-        '[[era]]'    : +(d.getFullYear >= 0),
-        '[[year]]'   : d.getFullYear(),
-        '[[month]]'  : d.getMonth(),
-        '[[day]]'    : d.getDate(),
-        '[[hour]]'   : d.getHours(),
-        '[[minute]]' : d.getMinutes(),
-        '[[second]]' : d.getSeconds(),
-        '[[inDST]]'  : false // ###TODO###
+        '[[weekday]]': d[get + 'Day'](),
+        '[[era]]'    : year > 0 ? 1 : 0,
+        '[[year]]'   : year,
+        '[[month]]'  : d[get + 'Month'](),
+        '[[day]]'    : d[get + 'Date'](),
+        '[[hour]]'   : d[get + 'Hours'](),
+        '[[minute]]' : d[get + 'Minutes'](),
+        '[[second]]' : d[get + 'Seconds'](),
+        '[[inDST]]'  : inDST,
+
+        // Not part of the spec, but needed for localized GMT formats
+        '[[timeZoneOffset]]': offset
     });
 }
 
@@ -2545,6 +5107,261 @@ function ToLocalTime(date, calendar, timeZone) {
     }
 });
 
+// Intl.PluralRules
+// ================
+// Not part of ECMA-402 1.0, but following the steps of later editions, where the
+// plural categories of a locale are from the CLDR plural rules in its locale data
+
+// Define the PluralRules constructor internally so it cannot be tainted
+function PluralRulesConstructor () {
+    var locales = arguments[0];
+    var options = arguments[1];
+
+    // Unlike NumberFormat and DateTimeFormat, PluralRules can't be called as a function
+    if (!(this instanceof PluralRulesConstructor))
+        throw new TypeError('Intl.PluralRules must be called with `new`');
+
+    return InitializePluralRules(toObject(this), locales, options);
+}
+
+defineProperty(Intl, 'PluralRules', {
+    configurable: true,
+    writable: true,
+    value: PluralRulesConstructor
+});
+
+// Must explicitly set prototypes as unwritable
+defineProperty(Intl.PluralRules, 'prototype', {
+    writable: false
+});
+
+/**
+ * The abstract operation InitializePluralRules accepts the arguments pluralRules
+ * (which must be an object), locales, and options. It initializes pluralRules as a
+ * PluralRules object.
+ */
+function InitializePluralRules (pluralRules, locales, options) {
+    var
+    // This will be a internal properties object if we're not already initialized
+        internal = getInternalProperties(pluralRules),
+
+    // Create an object whose props can be used to restore the values of RegExp props
+        regexpState = createRegExpRestore();
+
+    // If pluralRules has an [[initializedIntlObject]] internal property with value
+    // true, throw a TypeError exception.
+    if (internal['[[initializedIntlObject]]'] === true)
+        throw new TypeError('`this` object has already been initialized as an Intl object');
+
+    // Need this to access the `internal` object
+    defineProperty(pluralRules, '__getInternalProperties', {
+        value: function () {
+            // NOTE: Non-standard, for internal use only
+            if (arguments[0] === secret)
+                return internal;
+        }
+    });
+
+    // Set the [[initializedIntlObject]] internal property of pluralRules to true.
+    internal['[[initializedIntlObject]]'] = true;
+
+    var
+    // 1. Let requestedLocales be the result of calling the CanonicalizeLocaleList
+    //    abstract operation (defined in 9.2.1) with argument locales.
+        requestedLocales = CanonicalizeLocaleList(locales);
+
+    // 2. If options is undefined, then let options be a new object, else let options
+    //    be ToObject(options).
+    options = options === undefined ? {} : toObject(options);
+
+    var
+    // 3. Let opt be a new Record.
+        opt = new Record(),
+
+    // 4. Let matcher be the result of calling the GetOption abstract operation
+    //    (defined in 9.2.9) with the arguments options, "localeMatcher", "string",
+    //    a List containing the two String values "lookup" and "best fit", and
+    //    "best fit".
+        matcher = GetOption(options, 'localeMatcher', 'string', new List('lookup', 'best fit'), 'best fit');
+
+    // 5. Set opt.[[localeMatcher]] to matcher.
+    opt['[[localeMatcher]]'] = matcher;
+
+    var
+    // 6. Let t be the result of calling the GetOption abstract operation with the
+    //    arguments options, "type", "string", a List containing the two String
+    //    values "cardinal" and "ordinal", and "cardinal".
+        t = GetOption(options, 'type', 'string', new List('cardinal', 'ordinal'), 'cardinal');
+
+    // 7. Set the [[type]] internal property of pluralRules to t.
+    internal['[[type]]'] = t;
+
+    // 8. Perform SetNumberFormatDigitOptions(pluralRules, options, 0, 3).
+    SetNumberFormatDigitOptions(internal, options, 0, 3);
+
+    var
+    // 9. Let localeData be the value of the [[localeData]] internal property of
+    //    Intl.PluralRules.
+        localeData = internals.PluralRules['[[localeData]]'],
+
+    // 10. Let r be the result of calling the ResolveLocale abstract operation
+    //     (defined in 9.2.5) with the [[availableLocales]] internal property of
+    //     PluralRules, requestedLocales, opt, the [[relevantExtensionKeys]]
+    //     internal property of PluralRules, and localeData.
+        r = ResolveLocale(
+                internals.PluralRules['[[availableLocales]]'], requestedLocales,
+                opt, internals.PluralRules['[[relevantExtensionKeys]]'], localeData
+            );
+
+    // 11. Set the [[locale]] internal property of pluralRules to r.[[locale]].
+    internal['[[locale]]'] = r['[[locale]]'];
+
+    // The specification doesn't tell us to do this, but it's helpful later on
+    internal['[[dataLocale]]'] = r['[[dataLocale]]'];
+
+    // Set the [[initializedPluralRules]] internal property of pluralRules to true.
+    internal['[[initializedPluralRules]]'] = true;
+
+    // Restore the RegExp properties
+    regexpState.exp.test(regexpState.input);
+
+    // 12. Return pluralRules.
+    return pluralRules;
+}
+
+internals.PluralRules = {
+    '[[availableLocales]]': [],
+    '[[relevantExtensionKeys]]': [],
+    '[[localeData]]': {}
+};
+
+/**
+ * When the supportedLocalesOf method of Intl.PluralRules is called, the
+ * following steps are taken:
+ */
+defineProperty(Intl.PluralRules, 'supportedLocalesOf', {
+    configurable: true,
+    writable: true,
+    value: fnBind.call(supportedLocalesOf, internals.PluralRules)
+});
+
+/**
+ * When the select method of Intl.PluralRules.prototype is called with an argument
+ * value, the plural category of the number is returned, one of "zero", "one",
+ * "two", "few", "many" or "other".
+ */
+defineProperty(Intl.PluralRules.prototype, 'select', {
+    configurable: true,
+    writable: true,
+    value: function (value) {
+        var
+        // 1. Let pr be the this value.
+            internal = this != null && typeof this === 'object' && getInternalProperties(this);
+
+        // 2. If Type(pr) is not Object, or pr doesn't have an
+        //    [[initializedPluralRules]] internal property, throw a TypeError exception.
+        if (!internal || !internal['[[initializedPluralRules]]'])
+            throw new TypeError('`this` value for select() is not an initialized Intl.PluralRules object.');
+
+        // 3. Let n be ToNumber(value).
+        // 4. Return ResolvePlural(pr, n).
+        return ResolvePlural(this, Number(value));
+    }
+});
+
+/**
+ * When the ResolvePlural abstract operation is called with arguments pluralRules
+ * (which must be an object initialized as a PluralRules) and n (which must be a
+ * Number value), it returns the plural category of n in the locale and type of
+ * pluralRules.
+ */
+function ResolvePlural (pluralRules, n) {
+    var
+    // Create an object whose props can be used to restore the values of RegExp props
+        regexpState = createRegExpRestore(),
+
+        internal = getInternalProperties(pluralRules),
+        s;
+
+    // 1. If n is not a finite Number, then return "other".
+    if (!isFinite(n))
+        return 'other';
+
+    var
+    // 2. Let locale be the value of the [[dataLocale]] internal property of
+    //    pluralRules.
+        locale = internal['[[dataLocale]]'],
+
+    // 3. Let type be the value of the [[type]] internal property of pluralRules.
+        type = internal['[[type]]'],
+
+        data = internals.PluralRules['[[localeData]]'][locale];
+
+    // 4. Let s be n formatted with the digit options of pluralRules as in steps 3c
+    //    and 3d of FormatNumber, so that 1 and 1.0 can be different.  The rules
+    //    are for the absolute value of n.
+    if (hop.call(internal, '[[minimumSignificantDigits]]'))
+        s = ToRawPrecision(Math.abs(n),
+              internal['[[minimumSignificantDigits]]'], internal['[[maximumSignificantDigits]]']);
+    else
+        s = ToRawFixed(Math.abs(n), internal['[[minimumIntegerDigits]]'],
+              internal['[[minimumFractionDigits]]'], internal['[[maximumFractionDigits]]']);
+
+    var
+    // 5. Return the plural category of s from the CLDR plural rules of type in
+    //    locale, or "other" if the locale data has none.
+        category = getPluralCategory(data[type], String(s), 0);
+
+    // Restore the RegExp properties
+    regexpState.exp.test(regexpState.input);
+
+    return category;
+}
+
+/**
+ * The function returns a new object whose properties and attributes are set as if
+ * constructed by an object literal assigning to each of the following properties the
+ * value of the corresponding internal property of this PluralRules object: locale,
+ * type, minimumIntegerDigits, minimumFractionDigits, maximumFractionDigits,
+ * minimumSignificantDigits and maximumSignificantDigits, and pluralCategories, an
+ * Array of the plural categories of the locale and type.  Properties whose
+ * corresponding internal properties are not present are not assigned.
+ */
+defineProperty(Intl.PluralRules.prototype, 'resolvedOptions', {
+    configurable: true,
+    writable: true,
+    value: function () {
+        var prop,
+            descs = new Record(),
+            props = [
+                'locale', 'type', 'minimumIntegerDigits', 'minimumFractionDigits',
+                'maximumFractionDigits', 'minimumSignificantDigits', 'maximumSignificantDigits'
+            ],
+            internal = this != null && typeof this === 'object' && getInternalProperties(this);
+
+        if (!internal || !internal['[[initializedPluralRules]]'])
+            throw new TypeError('`this` value for resolvedOptions() is not an initialized Intl.PluralRules object.');
+
+        for (var i = 0, max = props.length; i < max; i++) {
+            if (hop.call(internal, prop = '[[' + props[i] + ']]'))
+                descs[props[i]] = { value: internal[prop], writable: true, configurable: true, enumerable: true };
+        }
+
+        var rules = internals.PluralRules['[[localeData]]'][internal['[[dataLocale]]']][internal['[[type]]']] || {},
+            categories = [];
+
+        for (i = 0, max = pluralCategories.length; i < max; i++) {
+            if (hop.call(rules, pluralCategories[i]))
+                arrPush.call(categories, pluralCategories[i]);
+        }
+        arrPush.call(categories, 'other');
+
+        descs.pluralCategories = { value: categories, writable: true, configurable: true, enumerable: true };
+
+        return objCreate({}, descs);
+    }
+});
+
 // Sect 13 Locale Sensitive Functions of the ECMAScript Language Specification
 // ===========================================================================
 
@@ -2718,6 +5535,32 @@ function addLocaleData (data) {
         locales = [ data.locale ],
         parts   = data.locale.split('-');
 
+    // Older locale data doesn't have the region for unit preferences, or the measurement
+    // systems of the 'ms' key, so they're from the region subtag of the locale
+    if (!data.number.region) {
+        var region = /-([A-Z]{2}|\d{3})(?:-|$)/.exec(data.locale);
+
+        data.number.region = region ? region[1] : '001';
+    }
+
+    if (!data.number.ms) {
+        var ms = regionMeasurementSystems[data.number.region] || 'metric';
+
+        data.number.ms = [ ms ];
+
+        for (var sys in msRegions) {
+            if (hop.call(msRegions, sys) && sys !== ms)
+                arrPush.call(data.number.ms, sys);
+        }
+    }
+
+    // The algorithmic numbering systems don't need any locale data, so they're
+    // available to every locale after its own numbering systems
+    for (var k in algNumSys) {
+        if (hop.call(algNumSys, k) && arrIndexOf.call(data.number.nu, k) === -1)
+            arrPush.call(data.number.nu, k);
+    }
+
     // Create fallbacks for locale data with scripts, e.g. Latn, Hans, Vaii, etc
     if (parts.length > 2 && parts[1].length == 4)
         arrPush.call(locales, parts[0] + '-' + parts[2]);
@@ -2727,9 +5570,14 @@ function addLocaleData (data) {
         arrPush.call(internals.NumberFormat['[[availableLocales]]'], locale);
         internals.NumberFormat['[[localeData]]'][locale] = data.number;
 
+        // ...and PluralRules internal properties, which only need the plural rules
+        arrPush.call(internals.PluralRules['[[availableLocales]]'], locale);
+        internals.PluralRules['[[localeData]]'][locale] = data.number.plurals || {};
+
         // ...and DateTimeFormat internal properties as per 12.2.3
         if (data.date) {
             data.date.nu = data.number.nu;
+            data.date.nuKeywords = data.number.nuKeywords;
             arrPush.call(internals.DateTimeFormat['[[availableLocales]]'], locale);
             internals.DateTimeFormat['[[localeData]]'][locale] = data.date;
         }
@@ -2752,6 +5600,38 @@ function addLocaleData (data) {
     }
 }
 
+/**
+ * Time zone data is even larger than locale data, so it isn't included either.  The
+ * data is generated from the IANA Time Zone Database by tools/Tzdata2Json.js and added
+ * using this __addTimeZoneData method.  Zones are validated and canonicalized against
+ * the names that have been added.
+ */
+defineProperty(Intl, '__addTimeZoneData', {
+    value: addTimeZoneData
+});
+function addTimeZoneData (data) {
+    if (!data || typeof data.zones !== 'object')
+        throw new Error("Object passed doesn't contain any time zone data");
+
+    for (var k in data.zones) {
+        if (!hop.call(data.zones, k))
+            continue;
+
+        tzData[k] = data.zones[k];
+        tzNames[toLatinUpperCase(k)] = k;
+    }
+
+    for (var k in data.links) {
+        if (hop.call(data.links, k) && hop.call(tzData, data.links[k]))
+            tzNames[toLatinUpperCase(k)] = data.links[k];
+    }
+
+    for (var k in data.metazones) {
+        if (hop.call(data.metazones, k))
+            tzMetazones[k] = data.metazones[k];
+    }
+}
+
 // Exposed for debugging
 if (typeof window !== 'undefined')
     window.IntlLocaleData = internals;
@@ -2828,6 +5708,227 @@ function resolveDateString(data, ca, component, width, key) {
     return key != null ? resolved[key] : resolved;
 }
 
+/**
+ * Returns a name for a time zone, resolved as described for the specific non-location
+ * format in the Unicode Technical Standard 35. The names of the zone itself are tried
+ * first, then the names of the metazone it uses at `date`, and finally the localized
+ * GMT format is used.
+ */
+function resolveTimeZoneName(data, timeZone, width, date, tm, nf, nf2) {
+    var names,
+        type = tm['[[inDST]]'] ? 'daylight' : 'standard',
+        mz   = timeZone === 'UTC' ? undefined : getMetazone(timeZone, date),
+        zone = timeZone === 'UTC' ? 'Etc/UTC' : timeZone;
+
+    if (zone && data.zones && hop.call(data.zones, zone) && (names = data.zones[zone][width]) && names[type])
+        return names[type];
+
+    if (mz && data.metazones && hop.call(data.metazones, mz) && (names = data.metazones[mz][width]) && names[type])
+        return names[type];
+
+    var
+        offset = tm['[[timeZoneOffset]]'],
+        abs    = Math.abs(offset),
+        hours  = Math.floor(abs / 3600),
+        mins   = Math.floor(abs % 3600 / 60),
+
+        // Defaults are the same as the root locale
+        hourFormat = (data.hourFormat || '+HH:mm;-HH:mm').split(';')[offset < 0 ? 1 : 0];
+
+    if (!offset)
+        return data.gmtZeroFormat || 'GMT';
+
+    // The short format uses as few digits as possible, e.g. "GMT-8" or "GMT+5:30"
+    if (width === 'short') {
+        hourFormat = hourFormat.replace(/H+/, FormatNumber(nf, hours));
+
+        hourFormat = mins
+            ? hourFormat.replace(/m+/, FormatNumber(nf2, mins))
+            : hourFormat.replace(/[:.]?m+/, '');
+    }
+    else {
+        hourFormat = hourFormat
+            .replace(/H+/, function ($0) { return FormatNumber($0.length > 1 ? nf2 : nf, hours); })
+            .replace(/m+/, FormatNumber(nf2, mins));
+    }
+
+    return (data.gmtFormat || 'GMT{0}').replace('{0}', hourFormat);
+}
+
+/**
+ * Returns the CLDR metazone used by a canonicalized time zone name at time value `date`
+ */
+function getMetazone(timeZone, date) {
+    if (!hop.call(tzMetazones, timeZone))
+        return;
+
+    var
+        secs = Math.floor(date / 1000),
+        list = tzMetazones[timeZone].split(' ');
+
+    for (var i = 0, max = list.length; i < max; i++) {
+        var mz = list[i].split(':');
+
+        if ((!mz[1] || parseInt(mz[1], 36) <= secs) && (!mz[2] || secs < parseInt(mz[2], 36)))
+            return mz[0];
+    }
+}
+
+/**
+ * Returns the offset (in seconds), DST flag and abbreviation of the period in effect
+ * for a canonicalized time zone name at time value `date`
+ */
+function getTimeZonePeriod(timeZone, date) {
+    var zone = hop.call(tzData, timeZone) ? tzData[timeZone] : undefined;
+
+    // "UTC" is valid without any time zone data
+    if (zone === undefined)
+        return { offset: 0, dst: false, abbr: 'UTC' };
+
+    if (typeof zone === 'string')
+        zone = tzData[timeZone] = unpackZone(zone);
+
+    var
+        secs = Math.floor(date / 1000),
+        untils = zone.untils,
+        lo = 0,
+        hi = untils.length;
+
+    // Binary search for the number of transitions at or before `secs`
+    while (lo < hi) {
+        var mid = (lo + hi) >> 1;
+
+        if (untils[mid] <= secs)
+            lo = mid + 1;
+        else
+            hi = mid;
+    }
+
+    // After the last transition, the zone's rules can keep making more of them
+    if (lo === untils.length && zone.rules)
+        return zone.periods[getRecurringPeriod(zone, secs)];
+
+    return zone.periods[zone.indices[lo]];
+}
+
+/**
+ * Returns the index of the period that a zone's recurring rules give at a time, in
+ * seconds since the epoch, after its last calculated transition
+ */
+function getRecurringPeriod(zone, secs) {
+    var
+        rules = zone.rules,
+        year = new Date(secs * 1000).getUTCFullYear(),
+        ret  = zone.indices[zone.indices.length - 1],
+        last = -Infinity;
+
+    // The latest transition at or before `secs`, which is in one of these years
+    for (var y = year - 1; y <= year + 1; y++) {
+        for (var i = 0, max = rules.length; i < max; i++) {
+            var rule = rules[i],
+                at = Date.UTC(y, rule.month, getRuleDay(y, rule)) / 1000 + rule.time;
+
+            // Wall clock time is in the offset of the rule before, standard time isn't
+            if (rule.type === 'w')
+                at -= zone.periods[rules[(i || max) - 1].period].offset;
+            else if (rule.type === 's')
+                at -= zone.stdoff;
+
+            if (at <= secs && at > last) {
+                last = at;
+                ret  = rule.period;
+            }
+        }
+    }
+
+    return ret;
+}
+
+/**
+ * Returns the day of the month that a recurring rule applies on in a year, which can
+ * be outside the month for Date.UTC()
+ */
+function getRuleDay(year, rule) {
+    var day = rule.day;
+
+    if (rule.on === 'l') {
+        day = new Date(Date.UTC(year, rule.month + 1, 0)).getUTCDate();
+        return day - (new Date(Date.UTC(year, rule.month, day)).getUTCDay() - rule.weekday + 7) % 7;
+    }
+    else if (rule.on === '>')
+        return day + (rule.weekday - new Date(Date.UTC(year, rule.month, day)).getUTCDay() + 7) % 7;
+    else if (rule.on === '<')
+        return day - (new Date(Date.UTC(year, rule.month, day)).getUTCDay() - rule.weekday + 7) % 7;
+
+    return day;
+}
+
+/**
+ * Unpacks a zone string in the format output by tools/Tzdata2Json.js
+ */
+function unpackZone(packed) {
+    var parts = packed.split('|'),
+        types = parts[0].split(' '),
+        times = parts[2] ? parts[2].split(' ') : [],
+        rules = parts[3] ? parts[3].split(' ') : [],
+        zone  = { periods: [], indices: [], untils: [] },
+        // Each index has as many digits as the highest one
+        width = (types.length - 1).toString(36).length;
+
+    for (var i = 0, max = types.length; i < max; i++) {
+        var type = types[i].split(':');
+
+        arrPush.call(zone.periods, {
+            abbr:   type[0],
+            offset: parseInt(type[1], 36),
+            dst:    type[2] === '1'
+        });
+    }
+
+    for (var i = 0, max = parts[1].length; i < max; i += width)
+        arrPush.call(zone.indices, parseInt(parts[1].slice(i, i + width), 36));
+
+    // Transition times are stored as the difference from the one before
+    for (var i = 0, t = 0, max = times.length; i < max; i++)
+        arrPush.call(zone.untils, t += parseInt(times[i], 36));
+
+    // The rules after the last transition follow the zone's standard offset, e.g.
+    // `2:0>8:5k0w:2` is the first Sunday on or after 8 March, at 2:00 wall clock time
+    if (rules.length) {
+        zone.stdoff = parseInt(rules[0], 36);
+        zone.rules  = [];
+
+        for (var i = 1, max = rules.length; i < max; i++) {
+            var rule = rules[i].split(':'),
+                day  = /^(?:l(\d)|(\d)([<>])(\d+)|(\d+))$/.exec(rule[1]);
+
+            arrPush.call(zone.rules, {
+                month:   +rule[0],
+                on:      day[1] ? 'l' : day[3] || '',
+                weekday: +(day[1] || day[2] || 0),
+                day:     +(day[4] || day[5] || 0),
+                time:    parseInt(rule[2].slice(0, -1), 36),
+                type:    rule[2].slice(-1),
+                period:  parseInt(rule[3], 36)
+            });
+        }
+    }
+
+    return zone;
+}
+
+/**
+ * Returns true if daylight saving time is in effect for a Date in the host
+ * environment's local time zone
+ */
+function isHostDST(d) {
+    var y = d.getFullYear(),
+        jan = new Date(y, 0, 1).getTimezoneOffset(),
+        jul = new Date(y, 6, 1).getTimezoneOffset();
+
+    return jan !== jul && d.getTimezoneOffset() < Math.max(jan, jul);
+}
+
 /**
  * A map that doesn't contain Object in its prototype chain
  */
@@ -1,4 +1,5 @@
-"undefined"!=typeof window&&(window.OldIntl=window.Intl);var Intl=function(Intl){/**
+"undefined"!=typeof window&&(window.OldIntl=window.Intl);var Intl=function(Intl){
+/**
  * @license Copyright 2013 Andy Earnshaw, MIT License
  *
  * Implements the ECMAScript Internationalization API in ES5-compatible environments,
@@ -8,5 +9,4 @@
  *
  * CLDR format locale data should be provided using Intl.__addLocaleData().
  */
-"use strict";function IsStructurallyValidLanguageTag(locale){return expBCP47Syntax.test(locale)?expVariantDupes.test(locale)?!1:expSingletonDupes.test(locale)?!1:!0:!1}function CanonicalizeLanguageTag(locale){var match,parts;locale=locale.toLowerCase(),parts=locale.split("-");for(var i=1,max=parts.length;max>i;i++)if(2===parts[i].length)parts[i]=parts[i].toUpperCase();else if(4===parts[i].length)parts[i]=parts[i].charAt(0).toUpperCase()+parts[i].slice(1);else if(1===parts[i].length&&"x"!=parts[i])break;locale=arrJoin.call(parts,"-"),(match=locale.match(expExtSequences))&&match.length>1&&(match.sort(),locale=locale.replace(RegExp("(?:"+expExtSequences.source+")+","i"),arrJoin.call(match,""))),hop.call(redundantTags.tags,locale)&&(locale=redundantTags.tags[locale]),parts=locale.split("-");for(var i=1,max=parts.length;max>i;i++)hop.call(redundantTags.subtags,parts[i])?parts[i]=redundantTags.subtags[parts[i]]:hop.call(redundantTags.extLang,parts[i])&&(parts[i]=redundantTags.extLang[parts[i]][0],1===i&&redundantTags.extLang[parts[1]][1]===parts[0]&&(parts=arrSlice.call(parts,i++),max-=1));return arrJoin.call(parts,"-")}function DefaultLocale(){return defaultLocale}function IsWellFormedCurrencyCode(currency){var c=String(currency),normalized=toLatinUpperCase(c);return expCurrencyCode.test(normalized)===!1?!1:!0}function CanonicalizeLocaleList(locales){if(void 0===locales)return new List;for(var seen=new List,locales="string"==typeof locales?[locales]:locales,O=toObject(locales),len=O.length,k=0;len>k;){var Pk=String(k),kPresent=Pk in O;if(kPresent){var kValue=O[Pk];if(null==kValue||"string"!=typeof kValue&&"object"!=typeof kValue)throw new TypeError("String or Object type expected");var tag=String(kValue);if(!IsStructurallyValidLanguageTag(tag))throw new RangeError("'"+tag+"' is not a structurally valid language tag");tag=CanonicalizeLanguageTag(tag),-1===arrIndexOf.call(seen,tag)&&arrPush.call(seen,tag)}k++}return seen}function BestAvailableLocale(availableLocales,locale){for(var candidate=locale;;){if(arrIndexOf.call(availableLocales,candidate)>-1)return candidate;var pos=candidate.lastIndexOf("-");if(0>pos)return;pos>=2&&"-"==candidate.charAt(pos-2)&&(pos-=2),candidate=candidate.substring(0,pos)}}function LookupMatcher(availableLocales,requestedLocales){for(var availableLocale,i=0,len=requestedLocales.length;len>i&&!availableLocale;){var locale=requestedLocales[i],noExtensionsLocale=String(locale).replace(expUnicodeExSeq,""),availableLocale=BestAvailableLocale(availableLocales,noExtensionsLocale);i++}var result=new Record;if(void 0!==availableLocale){if(result["[[locale]]"]=availableLocale,String(locale)!==String(noExtensionsLocale)){var extension=locale.match(expUnicodeExSeq)[0],extensionIndex=locale.indexOf("-u-");result["[[extension]]"]=extension,result["[[extensionIndex]]"]=extensionIndex}}else result["[[locale]]"]=DefaultLocale();return result}function BestFitMatcher(availableLocales,requestedLocales){return LookupMatcher(availableLocales,requestedLocales)}function ResolveLocale(availableLocales,requestedLocales,options,relevantExtensionKeys,localeData){if(0===availableLocales.length)throw new ReferenceError("No locale data has been provided for this object yet.");var matcher=options["[[localeMatcher]]"];if("lookup"===matcher)var r=LookupMatcher(availableLocales,requestedLocales);else var r=BestFitMatcher(availableLocales,requestedLocales);var foundLocale=r["[[locale]]"];if(hop.call(r,"[[extension]]"))var extension=r["[[extension]]"],extensionIndex=r["[[extensionIndex]]"],split=String.prototype.split,extensionSubtags=split.call(extension,"-"),extensionSubtagsLength=extensionSubtags.length;var result=new Record;result["[[dataLocale]]"]=foundLocale;for(var supportedExtension="-u",i=0,len=relevantExtensionKeys.length;len>i;){var key=relevantExtensionKeys[i],foundLocaleData=localeData[foundLocale],keyLocaleData=foundLocaleData[key],value=keyLocaleData["0"],supportedExtensionAddition="",indexOf=arrIndexOf;if(void 0!==extensionSubtags){var keyPos=indexOf.call(extensionSubtags,key);if(-1!==keyPos)if(extensionSubtagsLength>keyPos+1&&extensionSubtags[keyPos+1].length>2){var requestedValue=extensionSubtags[keyPos+1],valuePos=indexOf.call(keyLocaleData,requestedValue);if(-1!==valuePos)var value=requestedValue,supportedExtensionAddition="-"+key+"-"+value}else{var valuePos=indexOf(keyLocaleData,"true");if(-1!==valuePos)var value="true"}}if(hop.call(options,"[["+key+"]]")){var optionsValue=options["[["+key+"]]"];-1!==indexOf.call(keyLocaleData,optionsValue)&&optionsValue!==value&&(value=optionsValue,supportedExtensionAddition="")}result["[["+key+"]]"]=value,supportedExtension+=supportedExtensionAddition,i++}if(supportedExtension.length>2)var preExtension=foundLocale.substring(0,extensionIndex),postExtension=foundLocale.substring(extensionIndex),foundLocale=preExtension+supportedExtension+postExtension;return result["[[locale]]"]=foundLocale,result}function LookupSupportedLocales(availableLocales,requestedLocales){for(var len=requestedLocales.length,subset=new List,k=0;len>k;){var locale=requestedLocales[k],noExtensionsLocale=String(locale).replace(expUnicodeExSeq,""),availableLocale=BestAvailableLocale(availableLocales,noExtensionsLocale);void 0!==availableLocale&&arrPush.call(subset,locale),k++}var subsetArray=arrSlice.call(subset);return subsetArray}function BestFitSupportedLocales(availableLocales,requestedLocales){return LookupSupportedLocales(availableLocales,requestedLocales)}function SupportedLocales(availableLocales,requestedLocales,options){if(void 0!==options){var options=new Record(toObject(options)),matcher=options.localeMatcher;if(void 0!==matcher&&(matcher=String(matcher),"lookup"!==matcher&&"best fit"!==matcher))throw new RangeError('matcher should be "lookup" or "best fit"')}if(void 0===matcher||"best fit"===matcher)var subset=BestFitSupportedLocales(availableLocales,requestedLocales);else var subset=LookupSupportedLocales(availableLocales,requestedLocales);for(var P in subset)hop.call(subset,P)&&defineProperty(subset,P,{writable:!1,configurable:!1,value:subset[P]});return defineProperty(subset,"length",{writable:!1}),subset}function GetOption(options,property,type,values,fallback){var value=options[property];if(void 0!==value){if(value="boolean"===type?Boolean(value):"string"===type?String(value):value,void 0!==values&&-1===arrIndexOf.call(values,value))throw new RangeError("'"+value+"' is not an allowed value for `"+property+"`");return value}return fallback}function GetNumberOption(options,property,minimum,maximum,fallback){var value=options[property];if(void 0!==value){if(value=Number(value),isNaN(value)||minimum>value||value>maximum)throw new RangeError("Value is not a number or outside accepted range");return Math.floor(value)}return fallback}function NumberFormatConstructor(){var locales=arguments[0],options=arguments[1];return this&&this!==Intl?InitializeNumberFormat(toObject(this),locales,options):new Intl.NumberFormat(locales,options)}function InitializeNumberFormat(numberFormat,locales,options){var internal=getInternalProperties(numberFormat),regexpState=createRegExpRestore();if(internal["[[initializedIntlObject]]"]===!0)throw new TypeError("`this` object has already been initialized as an Intl object");defineProperty(numberFormat,"__getInternalProperties",{value:function(){return arguments[0]===secret?internal:void 0}}),internal["[[initializedIntlObject]]"]=!0;var requestedLocales=CanonicalizeLocaleList(locales);options=void 0===options?{}:toObject(options);var opt=new Record,matcher=GetOption(options,"localeMatcher","string",new List("lookup","best fit"),"best fit");opt["[[localeMatcher]]"]=matcher;var localeData=internals.NumberFormat["[[localeData]]"],r=ResolveLocale(internals.NumberFormat["[[availableLocales]]"],requestedLocales,opt,internals.NumberFormat["[[relevantExtensionKeys]]"],localeData);internal["[[locale]]"]=r["[[locale]]"],internal["[[numberingSystem]]"]=r["[[nu]]"],internal["[[dataLocale]]"]=r["[[dataLocale]]"];var dataLocale=r["[[dataLocale]]"],s=GetOption(options,"style","string",new List("decimal","percent","currency"),"decimal");internal["[[style]]"]=s;var c=GetOption(options,"currency","string");if(void 0!==c&&!IsWellFormedCurrencyCode(c))throw new RangeError("'"+c+"' is not a valid currency code");if("currency"===s&&void 0===c)throw new TypeError("Currency code is required when style is currency");if("currency"===s){c=c.toUpperCase(),internal["[[currency]]"]=c;var cDigits=CurrencyDigits(c)}var cd=GetOption(options,"currencyDisplay","string",new List("code","symbol","name"),"symbol");"currency"===s&&(internal["[[currencyDisplay]]"]=cd);var mnid=GetNumberOption(options,"minimumIntegerDigits",1,21,1);internal["[[minimumIntegerDigits]]"]=mnid;var mnfdDefault="currency"===s?cDigits:0,mnfd=GetNumberOption(options,"minimumFractionDigits",0,20,mnfdDefault);internal["[[minimumFractionDigits]]"]=mnfd;var mxfdDefault="currency"===s?Math.max(mnfd,cDigits):"percent"===s?Math.max(mnfd,0):Math.max(mnfd,3),mxfd=GetNumberOption(options,"maximumFractionDigits",mnfd,20,mxfdDefault);internal["[[maximumFractionDigits]]"]=mxfd;var mnsd=options.minimumSignificantDigits,mxsd=options.maximumSignificantDigits;(void 0!==mnsd||void 0!==mxsd)&&(mnsd=GetNumberOption(options,"minimumSignificantDigits",1,21,1),mxsd=GetNumberOption(options,"maximumSignificantDigits",mnsd,21,21),internal["[[minimumSignificantDigits]]"]=mnsd,internal["[[maximumSignificantDigits]]"]=mxsd);var g=GetOption(options,"useGrouping","boolean",void 0,!0);internal["[[useGrouping]]"]=g;var dataLocaleData=localeData[dataLocale],patterns=dataLocaleData.patterns,stylePatterns=patterns[s];return internal["[[positivePattern]]"]=stylePatterns.positivePattern,internal["[[negativePattern]]"]=stylePatterns.negativePattern,internal["[[boundFormat]]"]=void 0,internal["[[initializedNumberFormat]]"]=!0,regexpState.exp.test(regexpState.input),numberFormat}function CurrencyDigits(currency){return void 0!==currencyMinorUnits[currency]?currencyMinorUnits[currency]:2}function FormatNumber(numberFormat,x){var n,regexpState=createRegExpRestore(),internal=getInternalProperties(numberFormat),locale=internal["[[dataLocale]]"],nums=internal["[[numberingSystem]]"],data=internals.NumberFormat["[[localeData]]"][locale],ild=data.symbols[nums]||data.symbols.latn,negative=!1;if(isFinite(x)===!1)isNaN(x)?n=ild.nan:(n=ild.infinity,0>x&&(negative=!0));else{if(0>x&&(negative=!0,x=-x),"percent"===internal["[[style]]"]&&(x*=100),n=hop.call(internal,"[[minimumSignificantDigits]]")&&hop.call(internal,"[[maximumSignificantDigits]]")?ToRawPrecision(x,internal["[[minimumSignificantDigits]]"],internal["[[maximumSignificantDigits]]"]):ToRawFixed(x,internal["[[minimumIntegerDigits]]"],internal["[[minimumFractionDigits]]"],internal["[[maximumFractionDigits]]"]),numSys[nums]){var digits=numSys[internal["[[numberingSystem]]"]];n=String(n).replace(/\d/g,function(digit){return digits[digit]})}else n=String(n);if(n=n.replace(/\./g,ild.decimal),internal["[[useGrouping]]"]===!0){var parts=n.split(ild.decimal);parts[0]=parts[0].replace(expInsertGroups,ild.group),n=arrJoin.call(parts,ild.decimal)}}var result=internal[negative===!0?"[[negativePattern]]":"[[positivePattern]]"];if(result=result.replace("{number}",n),"currency"===internal["[[style]]"]){var cd,currency=internal["[[currency]]"],cData=data.currencies[currency];"code"===internal["[[currencyDisplay]]"]?cd=currency:"symbol"===internal["[[currencyDisplay]]"]?cd=cData||currency:"name"===internal["[[currencyDisplay]]"]&&(cd=cData?cData["displayName-count-one"]:currency),result=result.replace("{currency}",cd)}return regexpState.exp.test(regexpState.input),result}function ToRawPrecision(x,minPrecision,maxPrecision){var p=maxPrecision;if(0===x)var m=arrJoin.call(Array(p+1),"0"),e=0;else{var idx,isInt=x%1,pre=isInt?Math.pow(10,maxPrecision):1,m=Number.prototype.toPrecision.call(x*pre,maxPrecision),e=(idx=m.indexOf("e"))>-1?Number(m.slice(idx+1)):(idx=m.indexOf("."))>-1?idx-1:m.length-1;isInt&&(e-=maxPrecision),m=m.slice(0,m.indexOf("e")>-1?idx:m.length).replace(".","")}if(e>=p)return m+arrJoin.call(Array(e-p+1+1),"0");if(e===p-1)return m;if(e>=0?m=m.slice(0,e+1)+"."+m.slice(e+1):0>e&&(m="0."+arrJoin.call(Array(-(e+1)+1),"0")+m),m.indexOf(".")>=0&&maxPrecision>minPrecision){for(var cut=maxPrecision-minPrecision;cut>0&&"0"===m.charAt(m.length-1);)m=m.slice(0,-1),cut--;"."===m.charAt(m.length-1)&&(m=m.slice(0,-1))}return m}function ToRawFixed(x,minInteger,minFraction,maxFraction){var idx,m=Number.prototype.toFixed.call(x,maxFraction),igr=m.split(".")[0].length,cut=maxFraction-minFraction,exp=(idx=m.indexOf("e"))>-1?m.slice(idx+1):0;for(exp&&(m=m.slice(0,idx).replace(".",""),m+=arrJoin.call(Array(exp-(m.length-1)+1),"0")+"."+arrJoin.call(Array(maxFraction+1),"0"),igr=m.length);cut>0&&"0"===m.slice(-1);)m=m.slice(0,-1),cut--;if("."===m.slice(-1)&&(m=m.slice(0,-1)),minInteger>igr)var z=arrJoin.call(Array(minInteger-igr+1),"0");return(z?z:"")+m}function DateTimeFormatConstructor(){var locales=arguments[0],options=arguments[1];return this&&this!==Intl?InitializeDateTimeFormat(toObject(this),locales,options):new Intl.DateTimeFormat(locales,options)}function InitializeDateTimeFormat(dateTimeFormat,locales,options){var internal=getInternalProperties(dateTimeFormat),regexpState=createRegExpRestore();if(internal["[[initializedIntlObject]]"]===!0)throw new TypeError("`this` object has already been initialized as an Intl object");defineProperty(dateTimeFormat,"__getInternalProperties",{value:function(){return arguments[0]===secret?internal:void 0}}),internal["[[initializedIntlObject]]"]=!0;var requestedLocales=CanonicalizeLocaleList(locales),options=ToDateTimeOptions(options,"any","date"),opt=new Record;matcher=GetOption(options,"localeMatcher","string",new List("lookup","best fit"),"best fit"),opt["[[localeMatcher]]"]=matcher;var DateTimeFormat=internals.DateTimeFormat,localeData=DateTimeFormat["[[localeData]]"],r=ResolveLocale(DateTimeFormat["[[availableLocales]]"],requestedLocales,opt,DateTimeFormat["[[relevantExtensionKeys]]"],localeData);internal["[[locale]]"]=r["[[locale]]"],internal["[[calendar]]"]=r["[[ca]]"],internal["[[numberingSystem]]"]=r["[[nu]]"],internal["[[dataLocale]]"]=r["[[dataLocale]]"];var dataLocale=r["[[dataLocale]]"],tz=options.timeZone;if(void 0!==tz&&(tz=toLatinUpperCase(tz),"UTC"!==tz))throw new RangeError("timeZone is not supported.");internal["[[timeZone]]"]=tz,opt=new Record;for(var prop in dateTimeComponents)if(hop.call(dateTimeComponents,prop)){var value=GetOption(options,prop,"string",dateTimeComponents[prop]);opt["[["+prop+"]]"]=value}var bestFormat,dataLocaleData=localeData[dataLocale],formats=dataLocaleData.formats,matcher=GetOption(options,"formatMatcher","string",new List("basic","best fit"),"best fit");bestFormat="basic"===matcher?BasicFormatMatcher(opt,formats):BestFitFormatMatcher(opt,formats);for(var prop in dateTimeComponents)if(hop.call(dateTimeComponents,prop)&&hop.call(bestFormat,prop)){var p=bestFormat[prop];internal["[["+prop+"]]"]=p}var pattern,hr12=GetOption(options,"hour12","boolean");if(internal["[[hour]]"])if(hr12=void 0===hr12?dataLocaleData.hour12:hr12,internal["[[hour12]]"]=hr12,hr12===!0){var hourNo0=dataLocaleData.hourNo0;internal["[[hourNo0]]"]=hourNo0,pattern=bestFormat.pattern12}else pattern=bestFormat.pattern;else pattern=bestFormat.pattern;return internal["[[pattern]]"]=pattern,internal["[[boundFormat]]"]=void 0,internal["[[initializedDateTimeFormat]]"]=!0,regexpState.exp.test(regexpState.input),dateTimeFormat}function ToDateTimeOptions(options,required,defaults){options=void 0===options?null:new Record(toObject(options));var create=objCreate,options=create(options),needDefaults=!0;return("date"===required||"any"===required)&&(void 0!==options.weekday||void 0!==options.year||void 0!==options.month||void 0!==options.day)&&(needDefaults=!1),("time"===required||"any"===required)&&(void 0!==options.hour||void 0!==options.minute||void 0!==options.second)&&(needDefaults=!1),!needDefaults||"date"!==defaults&&"all"!==defaults||(options.year=options.month=options.day="numeric"),!needDefaults||"time"!==defaults&&"all"!==defaults||(options.hour=options.minute=options.second="numeric"),options}function BasicFormatMatcher(options,formats){for(var bestFormat,removalPenalty=120,additionPenalty=20,longLessPenalty=8,longMorePenalty=6,shortLessPenalty=6,shortMorePenalty=3,bestScore=-1/0,i=0,len=formats.length;len>i;){var format=formats[i],score=0;for(var property in dateTimeComponents)if(hop.call(dateTimeComponents,property)){var optionsProp=options["[["+property+"]]"],formatProp=hop.call(format,property)?format[property]:void 0;if(void 0===optionsProp&&void 0!==formatProp)score-=additionPenalty;else if(void 0!==optionsProp&&void 0===formatProp)score-=removalPenalty;else{var values=["2-digit","numeric","narrow","short","long"],optionsPropIndex=arrIndexOf.call(values,optionsProp),formatPropIndex=arrIndexOf.call(values,formatProp),delta=Math.max(Math.min(formatPropIndex-optionsPropIndex,2),-2);2===delta?score-=longMorePenalty:1===delta?score-=shortMorePenalty:-1===delta?score-=shortLessPenalty:-2===delta&&(score-=longLessPenalty)}}score>bestScore&&(bestScore=score,bestFormat=format),i++}return bestFormat}function BestFitFormatMatcher(options,formats){return BasicFormatMatcher(options,formats)}function FormatDateTime(dateTimeFormat,x){if(!isFinite(x))throw new RangeError("Invalid valid date passed to format");var internal=dateTimeFormat.__getInternalProperties(secret),regexpState=createRegExpRestore(),locale=internal["[[locale]]"],nf=new Intl.NumberFormat([locale],{useGrouping:!1}),nf2=new Intl.NumberFormat([locale],{minimumIntegerDigits:2,useGrouping:!1}),tm=ToLocalTime(x,internal["[[calendar]]"],internal["[[timeZone]]"]),result=internal["[[pattern]]"],dataLocale=internal["[[dataLocale]]"],localeData=internals.DateTimeFormat["[[localeData]]"][dataLocale].calendars,ca=internal["[[calendar]]"];for(var p in dateTimeComponents)if(hop.call(internal,"[["+p+"]]")){var pm,fv,f=internal["[["+p+"]]"],v=tm["[["+p+"]]"];if("year"===p&&0>=v?v=1-v:"month"===p?v++:"hour"===p&&internal["[[hour12]]"]===!0&&(v%=12,pm=v!==tm["[["+p+"]]"],0===v&&internal["[[hourNo0]]"]===!0&&(v=12)),"numeric"===f)fv=FormatNumber(nf,v);else if("2-digit"===f)fv=FormatNumber(nf2,v),fv.length>2&&(fv=fv.slice(-2));else if(f in dateWidths)switch(p){case"month":fv=resolveDateString(localeData,ca,"months",f,tm["[["+p+"]]"]);break;case"weekday":try{fv=resolveDateString(localeData,ca,"days",f,tm["[["+p+"]]"])}catch(e){throw new Error("Could not find weekday data for locale "+locale)}break;case"timeZoneName":fv="";break;default:fv=tm["[["+p+"]]"]}result=result.replace("{"+p+"}",fv)}return internal["[[hour12]]"]===!0&&(fv=resolveDateString(localeData,ca,"dayPeriods",pm?"pm":"am"),result=result.replace("{ampm}",fv)),regexpState.exp.test(regexpState.input),result}function ToLocalTime(date){var d=new Date(date);return new Record({"[[weekday]]":d.getDay(),"[[era]]":+(d.getFullYear>=0),"[[year]]":d.getFullYear(),"[[month]]":d.getMonth(),"[[day]]":d.getDate(),"[[hour]]":d.getHours(),"[[minute]]":d.getMinutes(),"[[second]]":d.getSeconds(),"[[inDST]]":!1})}function addLocaleData(data){if(!IsStructurallyValidLanguageTag(data.locale))throw new Error("Object passed doesn't identify itself with a valid language tag");if(!data.number)throw new Error("Object passed doesn't contain locale data for Intl.NumberFormat");var locale,locales=[data.locale],parts=data.locale.split("-");for(parts.length>2&&4==parts[1].length&&arrPush.call(locales,parts[0]+"-"+parts[2]);locale=arrShift.call(locales);)arrPush.call(internals.NumberFormat["[[availableLocales]]"],locale),internals.NumberFormat["[[localeData]]"][locale]=data.number,data.date&&(data.date.nu=data.number.nu,arrPush.call(internals.DateTimeFormat["[[availableLocales]]"],locale),internals.DateTimeFormat["[[localeData]]"][locale]=data.date);void 0===defaultLocale&&(defaultLocale=data.locale),numberFormatProtoInitialised||(InitializeNumberFormat(Intl.NumberFormat.prototype),numberFormatProtoInitialised=!0),data.date&&!dateTimeFormatProtoInitialised&&(InitializeDateTimeFormat(Intl.DateTimeFormat.prototype),dateTimeFormatProtoInitialised=!0)}function supportedLocalesOf(locales){if(!hop.call(this,"[[availableLocales]]"))throw new TypeError("supportedLocalesOf() is not a constructor");var regexpState=createRegExpRestore(),options=arguments[1],availableLocales=this["[[availableLocales]]"],requestedLocales=CanonicalizeLocaleList(locales);return regexpState.exp.test(regexpState.input),SupportedLocales(availableLocales,requestedLocales,options)}function resolveDateString(data,ca,component,width,key){var obj=data[ca]&&data[ca][component]?data[ca][component]:data.gregory[component],alts={narrow:["short","long"],"short":["long","narrow"],"long":["short","narrow"]},resolved=hop.call(obj,width)?obj[width]:hop.call(obj,alts[width][0])?obj[alts[width][0]]:obj[alts[width][1]];return null!=key?resolved[key]:resolved}function Record(obj){for(var k in obj)(obj instanceof Record||hop.call(obj,k))&&defineProperty(this,k,{value:obj[k],enumerable:!0,writable:!0,configurable:!0})}function List(){defineProperty(this,"length",{writable:!0,value:0}),arguments.length&&arrPush.apply(this,arrSlice.call(arguments))}function createRegExpRestore(){for(var lm=RegExp.lastMatch,ret={input:RegExp.input},esc=/[.?*+^$[\]\\(){}|-]/g,reg=new List,cap={},i=1;9>=i;i++)cap["$"+i]=RegExp["$"+i];for(var i=1;9>=i;i++){var m=cap["$"+i];lm=m?lm.replace(m,"("+m.replace(esc,"\\$0")+")"):"()"+lm,arrPush.call(reg,lm.slice(0,lm.indexOf("(")+1)),lm=lm.slice(lm.indexOf("(")+1)}return ret.exp=new RegExp(arrJoin.call(reg,"")+lm,RegExp.multiline?"m":""),ret}function toLatinUpperCase(str){for(var i=str.length;i--;){var ch=str.charAt(i);ch>="a"&&"z">=ch&&(str=str.slice(0,i)+ch.toUpperCase()+str.slice(i+1))}return str}function toObject(arg){if(null==arg)throw new TypeError("Cannot convert null or undefined to object");return Object(arg)}function getInternalProperties(obj){return hop.call(obj,"__getInternalProperties")?obj.__getInternalProperties(secret):objCreate(null)}var defaultLocale,expBCP47Syntax,expExtSequences,expVariantDupes,expSingletonDupes,hop=Object.prototype.hasOwnProperty,defineProperty=Object.defineProperty||function(obj,name,desc){desc.get&&obj.__defineGetter__?obj.__defineGetter(name,desc.get):(desc.value||desc.get)&&(obj[name]=desc.value||desc.get)},arrIndexOf=Array.prototype.indexOf||function(search){var t=this;if(!t.length)return-1;for(var i=arguments[1]||0,max=t.length;max>i;i++)if(t[i]===search)return i},objCreate=Object.create||function(proto,props){function F(){}var obj;F.prototype=proto,obj=new F;for(var k in props)hop.call(props,k)&&defineProperty(obj,k,props[k]);return obj},arrSlice=Array.prototype.slice,arrConcat=Array.prototype.concat,arrPush=Array.prototype.push,arrJoin=Array.prototype.join,arrShift=Array.prototype.shift,fnBind=Function.prototype.bind||function(thisObj){var fn=this,args=arrSlice.call(arguments,1);return function(){fn.apply(thisObj,arrConcat.call(args,arrSlice.call(arguments)))}},internals=objCreate(null),secret=Math.random(),dateWidths=objCreate(null,{narrow:{},"short":{},"long":{}}),numberFormatProtoInitialised=!1,dateTimeFormatProtoInitialised=!1,expInsertGroups=/(?=(?!^)(?:\d{3})+(?!\d))/g,expCurrencyCode=/^[A-Z]{3}$/,expUnicodeExSeq=/-u(?:-[0-9a-z]{2,8})+/gi,redundantTags={tags:{"art-lojban":"jbo","i-ami":"ami","i-bnn":"bnn","i-hak":"hak","i-klingon":"tlh","i-lux":"lb","i-navajo":"nv","i-pwn":"pwn","i-tao":"tao","i-tay":"tay","i-tsu":"tsu","no-bok":"nb","no-nyn":"nn","sgn-BE-FR":"sfb","sgn-BE-NL":"vgt","sgn-CH-DE":"sgg","zh-guoyu":"cmn","zh-hakka":"hak","zh-min-nan":"nan","zh-xiang":"hsn","sgn-BR":"bzs","sgn-CO":"csn","sgn-DE":"gsg","sgn-DK":"dsl","sgn-ES":"ssp","sgn-FR":"fsl","sgn-GB":"bfi","sgn-GR":"gss","sgn-IE":"isg","sgn-IT":"ise","sgn-JP":"jsl","sgn-MX":"mfs","sgn-NI":"ncs","sgn-NL":"dse","sgn-NO":"nsl","sgn-PT":"psr","sgn-SE":"swl","sgn-US":"ase","sgn-ZA":"sfs","zh-cmn":"cmn","zh-cmn-Hans":"cmn-Hans","zh-cmn-Hant":"cmn-Hant","zh-gan":"gan","zh-wuu":"wuu","zh-yue":"yue"},subtags:{BU:"MM",DD:"DE",FX:"FR",TP:"TL",YD:"YE",ZR:"CD",heploc:"alalc97","in":"id",iw:"he",ji:"yi",jw:"jv",mo:"ro",ayx:"nun",bjd:"drl",ccq:"rki",cjr:"mom",cka:"cmr",cmk:"xch",drh:"khk",drw:"prs",gav:"dev",hrr:"jal",ibi:"opa",kgh:"kml",lcq:"ppr",mst:"mry",myt:"mry",sca:"hle",tie:"ras",tkk:"twm",tlw:"weo",tnf:"prs",ybd:"rki",yma:"lrr"},extLang:{aao:["aao","ar"],abh:["abh","ar"],abv:["abv","ar"],acm:["acm","ar"],acq:["acq","ar"],acw:["acw","ar"],acx:["acx","ar"],acy:["acy","ar"],adf:["adf","ar"],ads:["ads","sgn"],aeb:["aeb","ar"],aec:["aec","ar"],aed:["aed","sgn"],aen:["aen","sgn"],afb:["afb","ar"],afg:["afg","sgn"],ajp:["ajp","ar"],apc:["apc","ar"],apd:["apd","ar"],arb:["arb","ar"],arq:["arq","ar"],ars:["ars","ar"],ary:["ary","ar"],arz:["arz","ar"],ase:["ase","sgn"],asf:["asf","sgn"],asp:["asp","sgn"],asq:["asq","sgn"],asw:["asw","sgn"],auz:["auz","ar"],avl:["avl","ar"],ayh:["ayh","ar"],ayl:["ayl","ar"],ayn:["ayn","ar"],ayp:["ayp","ar"],bbz:["bbz","ar"],bfi:["bfi","sgn"],bfk:["bfk","sgn"],bjn:["bjn","ms"],bog:["bog","sgn"],bqn:["bqn","sgn"],bqy:["bqy","sgn"],btj:["btj","ms"],bve:["bve","ms"],bvl:["bvl","sgn"],bvu:["bvu","ms"],bzs:["bzs","sgn"],cdo:["cdo","zh"],cds:["cds","sgn"],cjy:["cjy","zh"],cmn:["cmn","zh"],coa:["coa","ms"],cpx:["cpx","zh"],csc:["csc","sgn"],csd:["csd","sgn"],cse:["cse","sgn"],csf:["csf","sgn"],csg:["csg","sgn"],csl:["csl","sgn"],csn:["csn","sgn"],csq:["csq","sgn"],csr:["csr","sgn"],czh:["czh","zh"],czo:["czo","zh"],doq:["doq","sgn"],dse:["dse","sgn"],dsl:["dsl","sgn"],dup:["dup","ms"],ecs:["ecs","sgn"],esl:["esl","sgn"],esn:["esn","sgn"],eso:["eso","sgn"],eth:["eth","sgn"],fcs:["fcs","sgn"],fse:["fse","sgn"],fsl:["fsl","sgn"],fss:["fss","sgn"],gan:["gan","zh"],gds:["gds","sgn"],gom:["gom","kok"],gse:["gse","sgn"],gsg:["gsg","sgn"],gsm:["gsm","sgn"],gss:["gss","sgn"],gus:["gus","sgn"],hab:["hab","sgn"],haf:["haf","sgn"],hak:["hak","zh"],hds:["hds","sgn"],hji:["hji","ms"],hks:["hks","sgn"],hos:["hos","sgn"],hps:["hps","sgn"],hsh:["hsh","sgn"],hsl:["hsl","sgn"],hsn:["hsn","zh"],icl:["icl","sgn"],ils:["ils","sgn"],inl:["inl","sgn"],ins:["ins","sgn"],ise:["ise","sgn"],isg:["isg","sgn"],isr:["isr","sgn"],jak:["jak","ms"],jax:["jax","ms"],jcs:["jcs","sgn"],jhs:["jhs","sgn"],jls:["jls","sgn"],jos:["jos","sgn"],jsl:["jsl","sgn"],jus:["jus","sgn"],kgi:["kgi","sgn"],knn:["knn","kok"],kvb:["kvb","ms"],kvk:["kvk","sgn"],kvr:["kvr","ms"],kxd:["kxd","ms"],lbs:["lbs","sgn"],lce:["lce","ms"],lcf:["lcf","ms"],liw:["liw","ms"],lls:["lls","sgn"],lsg:["lsg","sgn"],lsl:["lsl","sgn"],lso:["lso","sgn"],lsp:["lsp","sgn"],lst:["lst","sgn"],lsy:["lsy","sgn"],ltg:["ltg","lv"],lvs:["lvs","lv"],lzh:["lzh","zh"],max:["max","ms"],mdl:["mdl","sgn"],meo:["meo","ms"],mfa:["mfa","ms"],mfb:["mfb","ms"],mfs:["mfs","sgn"],min:["min","ms"],mnp:["mnp","zh"],mqg:["mqg","ms"],mre:["mre","sgn"],msd:["msd","sgn"],msi:["msi","ms"],msr:["msr","sgn"],mui:["mui","ms"],mzc:["mzc","sgn"],mzg:["mzg","sgn"],mzy:["mzy","sgn"],nan:["nan","zh"],nbs:["nbs","sgn"],ncs:["ncs","sgn"],nsi:["nsi","sgn"],nsl:["nsl","sgn"],nsp:["nsp","sgn"],nsr:["nsr","sgn"],nzs:["nzs","sgn"],okl:["okl","sgn"],orn:["orn","ms"],ors:["ors","ms"],pel:["pel","ms"],pga:["pga","ar"],pks:["pks","sgn"],prl:["prl","sgn"],prz:["prz","sgn"],psc:["psc","sgn"],psd:["psd","sgn"],pse:["pse","ms"],psg:["psg","sgn"],psl:["psl","sgn"],pso:["pso","sgn"],psp:["psp","sgn"],psr:["psr","sgn"],pys:["pys","sgn"],rms:["rms","sgn"],rsi:["rsi","sgn"],rsl:["rsl","sgn"],sdl:["sdl","sgn"],sfb:["sfb","sgn"],sfs:["sfs","sgn"],sgg:["sgg","sgn"],sgx:["sgx","sgn"],shu:["shu","ar"],slf:["slf","sgn"],sls:["sls","sgn"],sqk:["sqk","sgn"],sqs:["sqs","sgn"],ssh:["ssh","ar"],ssp:["ssp","sgn"],ssr:["ssr","sgn"],svk:["svk","sgn"],swc:["swc","sw"],swh:["swh","sw"],swl:["swl","sgn"],syy:["syy","sgn"],tmw:["tmw","ms"],tse:["tse","sgn"],tsm:["tsm","sgn"],tsq:["tsq","sgn"],tss:["tss","sgn"],tsy:["tsy","sgn"],tza:["tza","sgn"],ugn:["ugn","sgn"],ugy:["ugy","sgn"],ukl:["ukl","sgn"],uks:["uks","sgn"],urk:["urk","ms"],uzn:["uzn","uz"],uzs:["uzs","uz"],vgt:["vgt","sgn"],vkk:["vkk","ms"],vkt:["vkt","ms"],vsi:["vsi","sgn"],vsl:["vsl","sgn"],vsv:["vsv","sgn"],wuu:["wuu","zh"],xki:["xki","sgn"],xml:["xml","sgn"],xmm:["xmm","ms"],xms:["xms","sgn"],yds:["yds","sgn"],ysl:["ysl","sgn"],yue:["yue","zh"],zib:["zib","sgn"],zlm:["zlm","ms"],zmi:["zmi","ms"],zsl:["zsl","sgn"],zsm:["zsm","ms"]}},currencyMinorUnits={BHD:3,BYR:0,XOF:0,BIF:0,XAF:0,CLF:0,CLP:0,KMF:0,DJF:0,XPF:0,GNF:0,ISK:0,IQD:3,JPY:0,JOD:3,KRW:0,KWD:3,LYD:3,OMR:3,PYG:0,RWF:0,TND:3,UGX:0,UYI:0,VUV:0,VND:0};!function(){var extlang="[a-z]{3}(?:-[a-z]{3}){0,2}",language="(?:[a-z]{2,3}(?:-"+extlang+")?|[a-z]{4}|[a-z]{5,8})",script="[a-z]{4}",region="(?:[a-z]{2}|\\d{3})",variant="(?:[a-z0-9]{5,8}|\\d[a-z0-9]{3})",singleton="[0-9a-wy-z]",extension=singleton+"(?:-[a-z0-9]{2,8})+",privateuse="x(?:-[a-z0-9]{1,8})+",irregular="(?:en-GB-oed|i-(?:ami|bnn|default|enochian|hak|klingon|lux|mingo|navajo|pwn|tao|tay|tsu)|sgn-(?:BE-FR|BE-NL|CH-DE))",regular="(?:art-lojban|cel-gaulish|no-bok|no-nyn|zh-(?:guoyu|hakka|min|min-nan|xiang))",grandfathered="(?:"+irregular+"|"+regular+")",langtag=language+"(?:-"+script+")?(?:-"+region+")?(?:-"+variant+")*(?:-"+extension+")*(?:-"+privateuse+")?";expBCP47Syntax=RegExp("^(?:"+langtag+"|"+privateuse+"|"+grandfathered+")$","i"),expVariantDupes=RegExp("^(?!x).*?-("+variant+")-(?:\\w{4,8}-(?!x-))*\\1\\b","i"),expSingletonDupes=RegExp("^(?!x).*?-("+singleton+")-(?:\\w+-(?!x-))*\\1\\b","i"),expExtSequences=RegExp("-"+extension,"ig")}(),defineProperty(Intl,"NumberFormat",{configurable:!0,writable:!0,value:NumberFormatConstructor}),defineProperty(Intl.NumberFormat,"prototype",{writable:!1}),internals.NumberFormat={"[[availableLocales]]":[],"[[relevantExtensionKeys]]":["nu"],"[[localeData]]":{}},defineProperty(Intl.NumberFormat,"supportedLocalesOf",{configurable:!0,writable:!0,value:fnBind.call(supportedLocalesOf,internals.NumberFormat)}),defineProperty(Intl.NumberFormat.prototype,"format",{configurable:!0,get:function(){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedNumberFormat]]"])throw new TypeError("`this` value for format() is not an initialized Intl.NumberFormat object.");if(void 0===internal["[[boundFormat]]"]){var F=function(value){return FormatNumber(this,Number(value))},bf=fnBind.call(F,this);internal["[[boundFormat]]"]=bf}return internal["[[boundFormat]]"]}});var numSys={arab:["٠","١","٢","٣","٤","٥","٦","٧","٨","٩"],arabext:["۰","۱","۲","۳","۴","۵","۶","۷","۸","۹"],bali:["᭐","᭑","᭒","᭓","᭔","᭕","᭖","᭗","᭘","᭙"],beng:["০","১","২","৩","৪","৫","৬","৭","৮","৯"],deva:["०","१","२","३","४","५","६","७","८","९"],fullwide:["０","１","２","３","４","５","６","７","８","９"],gujr:["૦","૧","૨","૩","૪","૫","૬","૭","૮","૯"],guru:["੦","੧","੨","੩","੪","੫","੬","੭","੮","੯"],hanidec:["〇","一","二","三","四","五","六","七","八","九"],khmr:["០","១","២","៣","៤","៥","៦","៧","៨","៩"],knda:["೦","೧","೨","೩","೪","೫","೬","೭","೮","೯"],laoo:["໐","໑","໒","໓","໔","໕","໖","໗","໘","໙"],latn:["0","1","2","3","4","5","6","7","8","9"],limb:["᥆","᥇","᥈","᥉","᥊","᥋","᥌","᥍","᥎","᥏"],mlym:["൦","൧","൨","൩","൪","൫","൬","൭","൮","൯"],mong:["᠐","᠑","᠒","᠓","᠔","᠕","᠖","᠗","᠘","᠙"],mymr:["၀","၁","၂","၃","၄","၅","၆","၇","၈","၉"],orya:["୦","୧","୨","୩","୪","୫","୬","୭","୮","୯"],tamldec:["௦","௧","௨","௩","௪","௫","௬","௭","௮","௯"],telu:["౦","౧","౨","౩","౪","౫","౬","౭","౮","౯"],thai:["๐","๑","๒","๓","๔","๕","๖","๗","๘","๙"],tibt:["༠","༡","༢","༣","༤","༥","༦","༧","༨","༩"]};defineProperty(Intl.NumberFormat.prototype,"resolvedOptions",{configurable:!0,writable:!0,value:function(){var prop,descs=new Record,props=["locale","numberingSystem","style","currency","currencyDisplay","minimumIntegerDigits","minimumFractionDigits","maximumFractionDigits","minimumSignificantDigits","maximumSignificantDigits","useGrouping"],internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedNumberFormat]]"])throw new TypeError("`this` value for resolvedOptions() is not an initialized Intl.NumberFormat object.");
-for(var i=0,max=props.length;max>i;i++)hop.call(internal,prop="[["+props[i]+"]]")&&(descs[props[i]]={value:internal[prop],writable:!0,configurable:!0,enumerable:!0});return objCreate({},descs)}}),defineProperty(Intl,"DateTimeFormat",{configurable:!0,writable:!0,value:DateTimeFormatConstructor}),defineProperty(DateTimeFormatConstructor,"prototype",{writable:!1});var dateTimeComponents={weekday:["narrow","short","long"],era:["narrow","short","long"],year:["2-digit","numeric"],month:["2-digit","numeric","narrow","short","long"],day:["2-digit","numeric"],hour:["2-digit","numeric"],minute:["2-digit","numeric"],second:["2-digit","numeric"],timeZoneName:["short","long"]};return internals.DateTimeFormat={"[[availableLocales]]":[],"[[relevantExtensionKeys]]":["ca","nu"],"[[localeData]]":{}},defineProperty(Intl.DateTimeFormat,"supportedLocalesOf",{configurable:!0,writable:!0,value:fnBind.call(supportedLocalesOf,internals.DateTimeFormat)}),defineProperty(Intl.DateTimeFormat.prototype,"format",{configurable:!0,get:function(){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedDateTimeFormat]]"])throw new TypeError("`this` value for format() is not an initialized Intl.DateTimeFormat object.");if(void 0===internal["[[boundFormat]]"]){var F=function(){var x=Number(0===arguments.length?Date.now():arguments[0]);return FormatDateTime(this,x)},bf=fnBind.call(F,this);internal["[[boundFormat]]"]=bf}return internal["[[boundFormat]]"]}}),defineProperty(Intl.DateTimeFormat.prototype,"resolvedOptions",{writable:!0,configurable:!0,value:function(){var prop,descs=new Record,props=["locale","calendar","numberingSystem","timeZone","hour12","weekday","era","year","month","day","hour","minute","second","timeZoneName","pattern"],internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedDateTimeFormat]]"])throw new TypeError("`this` value for resolvedOptions() is not an initialized Intl.DateTimeFormat object.");for(var i=0,max=props.length;max>i;i++)hop.call(internal,prop="[["+props[i]+"]]")&&(descs[props[i]]={value:internal[prop],writable:!0,configurable:!0,enumerable:!0});return objCreate({},descs)}}),defineProperty(Number.prototype,"toLocaleString",{writable:!0,configurable:!0,value:function(){if("[object Number]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a number for Number.prototype.toLocaleString()");return FormatNumber(new NumberFormatConstructor(arguments[0],arguments[1]),this)}}),defineProperty(Date.prototype,"toLocaleString",{writable:!0,configurable:!0,value:function(){if("[object Date]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a Date instance for Date.prototype.toLocaleString()");var x=+this;if(isNaN(x))return"Invalid Date";var locales=arguments[0],options=arguments[1],options=ToDateTimeOptions(options,"any","all"),dateTimeFormat=new DateTimeFormatConstructor(locales,options);return FormatDateTime(dateTimeFormat,x)}}),defineProperty(Date.prototype,"toLocaleDateString",{writable:!0,configurable:!0,value:function(){if("[object Date]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a Date instance for Date.prototype.toLocaleDateString()");var x=+this;if(isNaN(x))return"Invalid Date";var locales=arguments[0],options=arguments[1],options=ToDateTimeOptions(options,"date","date"),dateTimeFormat=new DateTimeFormatConstructor(locales,options);return FormatDateTime(dateTimeFormat,x)}}),defineProperty(Date.prototype,"toLocaleTimeString",{writable:!0,configurable:!0,value:function(){if("[object Date]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a Date instance for Date.prototype.toLocaleTimeString()");var x=+this;if(isNaN(x))return"Invalid Date";var locales=arguments[0],options=arguments[1],options=ToDateTimeOptions(options,"time","time"),dateTimeFormat=new DateTimeFormatConstructor(locales,options);return FormatDateTime(dateTimeFormat,x)}}),defineProperty(Intl,"__addLocaleData",{value:addLocaleData}),"undefined"!=typeof window&&(window.IntlLocaleData=internals),Record.prototype=objCreate(null),List.prototype=objCreate(null),Intl}({});
\ No newline at end of file
+"use strict";var defaultLocale,expBCP47Syntax,expExtSequences,expVariantDupes,expSingletonDupes,variant,extension,hop=Object.prototype.hasOwnProperty,defineProperty=Object.defineProperty||function(obj,name,desc){desc.get&&obj.__defineGetter__?obj.__defineGetter__(name,desc.get):(desc.value||desc.get)&&(obj[name]=desc.value||desc.get)},arrIndexOf=Array.prototype.indexOf||function(search){var t=this;if(!t.length)return-1;for(var i=arguments[1]||0,max=t.length;i<max;i++)if(t[i]===search)return i},objCreate=Object.create||function(proto,props){var obj,k;function F(){}for(k in F.prototype=proto,obj=new F,props)hop.call(props,k)&&defineProperty(obj,k,props[k]);return obj},arrSlice=Array.prototype.slice,arrConcat=Array.prototype.concat,arrPush=Array.prototype.push,arrJoin=Array.prototype.join,arrShift=Array.prototype.shift,fnBind=Function.prototype.bind||function(thisObj){var fn=this,args=arrSlice.call(arguments,1);return function(){fn.apply(thisObj,arrConcat.call(args,arrSlice.call(arguments)))}},internals=objCreate(null),secret=Math.random(),dateWidths=objCreate(null,{narrow:{},short:{},long:{}}),numberFormatProtoInitialised=!1,dateTimeFormatProtoInitialised=!1,tzData=objCreate(null),tzNames=objCreate(null),tzMetazones=objCreate(null),expCurrencyCode=/^[A-Z]{3}$/,expUnicodeExSeq=/-u(?:-[0-9a-z]{2,8})+/gi,redundantTags={tags:{"art-lojban":"jbo","i-ami":"ami","i-bnn":"bnn","i-hak":"hak","i-klingon":"tlh","i-lux":"lb","i-navajo":"nv","i-pwn":"pwn","i-tao":"tao","i-tay":"tay","i-tsu":"tsu","no-bok":"nb","no-nyn":"nn","sgn-BE-FR":"sfb","sgn-BE-NL":"vgt","sgn-CH-DE":"sgg","zh-guoyu":"cmn","zh-hakka":"hak","zh-min-nan":"nan","zh-xiang":"hsn","sgn-BR":"bzs","sgn-CO":"csn","sgn-DE":"gsg","sgn-DK":"dsl","sgn-ES":"ssp","sgn-FR":"fsl","sgn-GB":"bfi","sgn-GR":"gss","sgn-IE":"isg","sgn-IT":"ise","sgn-JP":"jsl","sgn-MX":"mfs","sgn-NI":"ncs","sgn-NL":"dse","sgn-NO":"nsl","sgn-PT":"psr","sgn-SE":"swl","sgn-US":"ase","sgn-ZA":"sfs","zh-cmn":"cmn","zh-cmn-Hans":"cmn-Hans","zh-cmn-Hant":"cmn-Hant","zh-gan":"gan","zh-wuu":"wuu","zh-yue":"yue"},subtags:{BU:"MM",DD:"DE",FX:"FR",TP:"TL",YD:"YE",ZR:"CD",heploc:"alalc97",in:"id",iw:"he",ji:"yi",jw:"jv",mo:"ro",ayx:"nun",bjd:"drl",ccq:"rki",cjr:"mom",cka:"cmr",cmk:"xch",drh:"khk",drw:"prs",gav:"dev",hrr:"jal",ibi:"opa",kgh:"kml",lcq:"ppr",mst:"mry",myt:"mry",sca:"hle",tie:"ras",tkk:"twm",tlw:"weo",tnf:"prs",ybd:"rki",yma:"lrr"},extLang:{aao:["aao","ar"],abh:["abh","ar"],abv:["abv","ar"],acm:["acm","ar"],acq:["acq","ar"],acw:["acw","ar"],acx:["acx","ar"],acy:["acy","ar"],adf:["adf","ar"],ads:["ads","sgn"],aeb:["aeb","ar"],aec:["aec","ar"],aed:["aed","sgn"],aen:["aen","sgn"],afb:["afb","ar"],afg:["afg","sgn"],ajp:["ajp","ar"],apc:["apc","ar"],apd:["apd","ar"],arb:["arb","ar"],arq:["arq","ar"],ars:["ars","ar"],ary:["ary","ar"],arz:["arz","ar"],ase:["ase","sgn"],asf:["asf","sgn"],asp:["asp","sgn"],asq:["asq","sgn"],asw:["asw","sgn"],auz:["auz","ar"],avl:["avl","ar"],ayh:["ayh","ar"],ayl:["ayl","ar"],ayn:["ayn","ar"],ayp:["ayp","ar"],bbz:["bbz","ar"],bfi:["bfi","sgn"],bfk:["bfk","sgn"],bjn:["bjn","ms"],bog:["bog","sgn"],bqn:["bqn","sgn"],bqy:["bqy","sgn"],btj:["btj","ms"],bve:["bve","ms"],bvl:["bvl","sgn"],bvu:["bvu","ms"],bzs:["bzs","sgn"],cdo:["cdo","zh"],cds:["cds","sgn"],cjy:["cjy","zh"],cmn:["cmn","zh"],coa:["coa","ms"],cpx:["cpx","zh"],csc:["csc","sgn"],csd:["csd","sgn"],cse:["cse","sgn"],csf:["csf","sgn"],csg:["csg","sgn"],csl:["csl","sgn"],csn:["csn","sgn"],csq:["csq","sgn"],csr:["csr","sgn"],czh:["czh","zh"],czo:["czo","zh"],doq:["doq","sgn"],dse:["dse","sgn"],dsl:["dsl","sgn"],dup:["dup","ms"],ecs:["ecs","sgn"],esl:["esl","sgn"],esn:["esn","sgn"],eso:["eso","sgn"],eth:["eth","sgn"],fcs:["fcs","sgn"],fse:["fse","sgn"],fsl:["fsl","sgn"],fss:["fss","sgn"],gan:["gan","zh"],gds:["gds","sgn"],gom:["gom","kok"],gse:["gse","sgn"],gsg:["gsg","sgn"],gsm:["gsm","sgn"],gss:["gss","sgn"],gus:["gus","sgn"],hab:["hab","sgn"],haf:["haf","sgn"],hak:["hak","zh"],hds:["hds","sgn"],hji:["hji","ms"],hks:["hks","sgn"],hos:["hos","sgn"],hps:["hps","sgn"],hsh:["hsh","sgn"],hsl:["hsl","sgn"],hsn:["hsn","zh"],icl:["icl","sgn"],ils:["ils","sgn"],inl:["inl","sgn"],ins:["ins","sgn"],ise:["ise","sgn"],isg:["isg","sgn"],isr:["isr","sgn"],jak:["jak","ms"],jax:["jax","ms"],jcs:["jcs","sgn"],jhs:["jhs","sgn"],jls:["jls","sgn"],jos:["jos","sgn"],jsl:["jsl","sgn"],jus:["jus","sgn"],kgi:["kgi","sgn"],knn:["knn","kok"],kvb:["kvb","ms"],kvk:["kvk","sgn"],kvr:["kvr","ms"],kxd:["kxd","ms"],lbs:["lbs","sgn"],lce:["lce","ms"],lcf:["lcf","ms"],liw:["liw","ms"],lls:["lls","sgn"],lsg:["lsg","sgn"],lsl:["lsl","sgn"],lso:["lso","sgn"],lsp:["lsp","sgn"],lst:["lst","sgn"],lsy:["lsy","sgn"],ltg:["ltg","lv"],lvs:["lvs","lv"],lzh:["lzh","zh"],max:["max","ms"],mdl:["mdl","sgn"],meo:["meo","ms"],mfa:["mfa","ms"],mfb:["mfb","ms"],mfs:["mfs","sgn"],min:["min","ms"],mnp:["mnp","zh"],mqg:["mqg","ms"],mre:["mre","sgn"],msd:["msd","sgn"],msi:["msi","ms"],msr:["msr","sgn"],mui:["mui","ms"],mzc:["mzc","sgn"],mzg:["mzg","sgn"],mzy:["mzy","sgn"],nan:["nan","zh"],nbs:["nbs","sgn"],ncs:["ncs","sgn"],nsi:["nsi","sgn"],nsl:["nsl","sgn"],nsp:["nsp","sgn"],nsr:["nsr","sgn"],nzs:["nzs","sgn"],okl:["okl","sgn"],orn:["orn","ms"],ors:["ors","ms"],pel:["pel","ms"],pga:["pga","ar"],pks:["pks","sgn"],prl:["prl","sgn"],prz:["prz","sgn"],psc:["psc","sgn"],psd:["psd","sgn"],pse:["pse","ms"],psg:["psg","sgn"],psl:["psl","sgn"],pso:["pso","sgn"],psp:["psp","sgn"],psr:["psr","sgn"],pys:["pys","sgn"],rms:["rms","sgn"],rsi:["rsi","sgn"],rsl:["rsl","sgn"],sdl:["sdl","sgn"],sfb:["sfb","sgn"],sfs:["sfs","sgn"],sgg:["sgg","sgn"],sgx:["sgx","sgn"],shu:["shu","ar"],slf:["slf","sgn"],sls:["sls","sgn"],sqk:["sqk","sgn"],sqs:["sqs","sgn"],ssh:["ssh","ar"],ssp:["ssp","sgn"],ssr:["ssr","sgn"],svk:["svk","sgn"],swc:["swc","sw"],swh:["swh","sw"],swl:["swl","sgn"],syy:["syy","sgn"],tmw:["tmw","ms"],tse:["tse","sgn"],tsm:["tsm","sgn"],tsq:["tsq","sgn"],tss:["tss","sgn"],tsy:["tsy","sgn"],tza:["tza","sgn"],ugn:["ugn","sgn"],ugy:["ugy","sgn"],ukl:["ukl","sgn"],uks:["uks","sgn"],urk:["urk","ms"],uzn:["uzn","uz"],uzs:["uzs","uz"],vgt:["vgt","sgn"],vkk:["vkk","ms"],vkt:["vkt","ms"],vsi:["vsi","sgn"],vsl:["vsl","sgn"],vsv:["vsv","sgn"],wuu:["wuu","zh"],xki:["xki","sgn"],xml:["xml","sgn"],xmm:["xmm","ms"],xms:["xms","sgn"],yds:["yds","sgn"],ysl:["ysl","sgn"],yue:["yue","zh"],zib:["zib","sgn"],zlm:["zlm","ms"],zmi:["zmi","ms"],zsl:["zsl","sgn"],zsm:["zsm","ms"]}},currencyMinorUnits={BHD:3,BIF:0,CLF:4,CLP:0,DJF:0,GNF:0,IQD:3,ISK:0,JOD:3,JPY:0,KMF:0,KRW:0,KWD:3,LYD:3,OMR:3,PYG:0,RWF:0,TND:3,UGX:0,UYI:0,UYW:4,VND:0,VUV:0,XAF:0,XOF:0,XPF:0},currencyFractions={ADP:[0,0,0,0],AFN:[0,0,0,0],ALL:[0,0,0,0],AMD:[2,0,0,0],BHD:[3,0,3,0],BIF:[0,0,0,0],BYR:[0,0,0,0],CAD:[2,0,2,5],CHF:[2,0,2,5],CLF:[4,0,4,0],CLP:[0,0,0,0],COP:[0,0,0,0],CRC:[2,0,0,0],CZK:[2,0,0,0],DJF:[0,0,0,0],DKK:[2,0,2,50],ESP:[0,0,0,0],GNF:[0,0,0,0],GYD:[2,0,0,0],HUF:[0,0,0,5],IDR:[0,0,0,0],IQD:[0,0,0,0],IRR:[0,0,0,0],ISK:[0,0,0,0],ITL:[0,0,0,0],JOD:[3,0,3,0],JPY:[0,0,0,0],KMF:[0,0,0,0],KPW:[0,0,0,0],KRW:[0,0,0,0],KWD:[3,0,3,0],LAK:[0,0,0,0],LBP:[0,0,0,0],LUF:[0,0,0,0],LYD:[3,0,3,0],MGA:[0,0,0,0],MGF:[0,0,0,0],MMK:[0,0,0,0],MNT:[2,0,0,0],MRO:[0,0,0,0],MUR:[2,0,0,0],NOK:[2,0,0,0],OMR:[3,0,3,0],PKR:[0,0,0,0],PYG:[0,0,0,0],RSD:[2,0,0,0],RWF:[0,0,0,0],SEK:[2,0,0,0],SLL:[0,0,0,0],SOS:[0,0,0,0],STD:[0,0,0,0],SYP:[0,0,0,0],TMM:[0,0,0,0],TND:[3,0,3,0],TRL:[0,0,0,0],TWD:[2,0,0,0],TZS:[2,0,0,0],UGX:[0,0,0,0],UYI:[0,0,0,0],UYW:[4,0,4,0],UZS:[2,0,0,0],VEF:[2,0,0,0],VND:[0,0,0,0],VUV:[0,0,0,0],XAF:[0,0,0,0],XOF:[0,0,0,0],XPF:[0,0,0,0],YER:[0,0,0,0],ZMK:[0,0,0,0],ZWD:[0,0,0,0]};function IsStructurallyValidLanguageTag(locale){return expBCP47Syntax.test(locale)&&!expVariantDupes.test(locale)&&!expSingletonDupes.test(locale)}variant="(?:[a-z0-9]{5,8}|\\d[a-z0-9]{3})",extension="[0-9a-wy-z](?:-[a-z0-9]{2,8})+",expBCP47Syntax=RegExp("^(?:(?:[a-z]{2,3}(?:-[a-z]{3}(?:-[a-z]{3}){0,2})?|[a-z]{4}|[a-z]{5,8})(?:-[a-z]{4})?(?:-(?:[a-z]{2}|\\d{3}))?(?:-(?:[a-z0-9]{5,8}|\\d[a-z0-9]{3}))*(?:-[0-9a-wy-z](?:-[a-z0-9]{2,8})+)*(?:-x(?:-[a-z0-9]{1,8})+)?|x(?:-[a-z0-9]{1,8})+|(?:(?:en-GB-oed|i-(?:ami|bnn|default|enochian|hak|klingon|lux|mingo|navajo|pwn|tao|tay|tsu)|sgn-(?:BE-FR|BE-NL|CH-DE))|(?:art-lojban|cel-gaulish|no-bok|no-nyn|zh-(?:guoyu|hakka|min|min-nan|xiang))))$","i"),expVariantDupes=RegExp("^(?!x).*?-("+variant+")-(?:\\w{4,8}-(?!x-))*\\1\\b","i"),expSingletonDupes=RegExp("^(?!x).*?-([0-9a-wy-z])-(?:\\w+-(?!x-))*\\1\\b","i"),expExtSequences=RegExp("-"+extension,"ig");var sanctionedUnits=arrJoin.call(["acre","bit","byte","celsius","centimeter","day","degree","fahrenheit","fluid-ounce","foot","gallon","gigabit","gigabyte","gram","hectare","hour","inch","kilobit","kilobyte","kilogram","kilometer","liter","megabit","megabyte","meter","microsecond","mile","mile-scandinavian","milliliter","millimeter","millisecond","minute","month","nanosecond","ounce","percent","petabyte","pound","second","stone","terabit","terabyte","week","yard","year"],"|");function IsSanctionedSimpleUnitIdentifier(unitIdentifier){return unitIdentifier.indexOf("|")<0&&-1<("|"+sanctionedUnits+"|").indexOf("|"+unitIdentifier+"|")}function CanonicalizeLocaleList(locales){if(void 0===locales)return new List;for(var seen=new List,O=toObject(locales="string"==typeof locales?[locales]:locales),len=O.length,k=0;k<len;){var Pk=String(k);if(Pk in O){Pk=O[Pk];if(null==Pk||"string"!=typeof Pk&&"object"!=typeof Pk)throw new TypeError("String or Object type expected");Pk=String(Pk);if(!IsStructurallyValidLanguageTag(Pk))throw new RangeError("'"+Pk+"' is not a structurally valid language tag");Pk=function(locale){for(var match,parts,i=1,max=(parts=(locale=locale.toLowerCase()).split("-")).length;i<max;i++)if(2===parts[i].length)parts[i]=parts[i].toUpperCase();else if(4===parts[i].length)parts[i]=parts[i].charAt(0).toUpperCase()+parts[i].slice(1);else if(1===parts[i].length&&"x"!=parts[i])break;for((match=(locale=arrJoin.call(parts,"-")).match(expExtSequences))&&1<match.length&&(match.sort(),locale=locale.replace(RegExp("(?:"+expExtSequences.source+")+","i"),arrJoin.call(match,""))),i=1,max=(parts=(locale=hop.call(redundantTags.tags,locale)?redundantTags.tags[locale]:locale).split("-")).length;i<max;i++)hop.call(redundantTags.subtags,parts[i])?parts[i]=redundantTags.subtags[parts[i]]:hop.call(redundantTags.extLang,parts[i])&&(parts[i]=redundantTags.extLang[parts[i]][0],1===i)&&redundantTags.extLang[parts[1]][1]===parts[0]&&(parts=arrSlice.call(parts,i++),--max);return arrJoin.call(parts,"-")}(Pk),-1===arrIndexOf.call(seen,Pk)&&arrPush.call(seen,Pk)}k++}return seen}function BestAvailableLocale(availableLocales,locale){for(var candidate=locale;;){if(-1<arrIndexOf.call(availableLocales,candidate))return candidate;var pos=candidate.lastIndexOf("-");if(pos<0)return;2<=pos&&"-"==candidate.charAt(pos-2)&&(pos-=2),candidate=candidate.substring(0,pos)}}function LookupMatcher(availableLocales,requestedLocales){for(var i=0,len=requestedLocales.length;i<len&&!availableLocale;){var locale=requestedLocales[i],noExtensionsLocale=String(locale).replace(expUnicodeExSeq,""),availableLocale=BestAvailableLocale(availableLocales,noExtensionsLocale);i++}var extension,extensionIndex,result=new Record;return void 0!==availableLocale?(result["[[locale]]"]=availableLocale,String(locale)!==String(noExtensionsLocale)&&(extension=locale.match(expUnicodeExSeq)[0],extensionIndex=locale.indexOf("-u-"),result["[[extension]]"]=extension,result["[[extensionIndex]]"]=extensionIndex)):result["[[locale]]"]=defaultLocale,result}function ResolveLocale(availableLocales,requestedLocales,options,relevantExtensionKeys,localeData){if(0===availableLocales.length)throw new ReferenceError("No locale data has been provided for this object yet.");options["[[localeMatcher]]"];for(var extensionIndex,extensionSubtags,extensionSubtagsLength,foundLocale=(availableLocales=LookupMatcher(availableLocales,requestedLocales))["[[locale]]"],result=(hop.call(availableLocales,"[[extension]]")&&(requestedLocales=availableLocales["[[extension]]"],extensionIndex=availableLocales["[[extensionIndex]]"],extensionSubtagsLength=(extensionSubtags=String.prototype.split.call(requestedLocales,"-")).length),new Record),supportedExtension=(result["[[dataLocale]]"]=foundLocale,"-u"),i=0,len=relevantExtensionKeys.length;i<len;){var keyPos,key=relevantExtensionKeys[i],foundLocaleData=localeData[foundLocale],keyLocaleData=foundLocaleData[key],value=keyLocaleData[0],supportedExtensionAddition="",indexOf=arrIndexOf;void 0!==extensionSubtags&&-1!==(keyPos=indexOf.call(extensionSubtags,key))&&(keyPos+1<extensionSubtagsLength&&2<extensionSubtags[keyPos+1].length?(keyPos=extensionSubtags[keyPos+1],(foundLocaleData=foundLocaleData[key+"Keywords"])&&hop.call(foundLocaleData,keyPos)&&(keyPos=foundLocaleData[keyPos]),-1!==indexOf.call(keyLocaleData,keyPos)&&(supportedExtensionAddition="-"+key+"-"+(value=keyPos))):-1!==indexOf(keyLocaleData,"true")&&(value="true")),hop.call(options,"[["+key+"]]")&&(foundLocaleData=options["[["+key+"]]"],-1!==indexOf.call(keyLocaleData,foundLocaleData))&&foundLocaleData!==value&&(value=foundLocaleData,supportedExtensionAddition=""),result["[["+key+"]]"]=value,supportedExtension+=supportedExtensionAddition,i++}return 2<supportedExtension.length&&(foundLocale=foundLocale.substring(0,extensionIndex)+supportedExtension+foundLocale.substring(extensionIndex)),result["[[locale]]"]=foundLocale,result}function LookupSupportedLocales(availableLocales,requestedLocales){for(var len=requestedLocales.length,subset=new List,k=0;k<len;){var locale=requestedLocales[k];void 0!==BestAvailableLocale(availableLocales,String(locale).replace(expUnicodeExSeq,""))&&arrPush.call(subset,locale),k++}return arrSlice.call(subset)}function SupportedLocales(availableLocales,requestedLocales,options){if(void 0!==options){options=(options=new Record(toObject(options))).localeMatcher;if(void 0!==options&&"lookup"!==(options=String(options))&&"best fit"!==options)throw new RangeError('matcher should be "lookup" or "best fit"')}var subset,P;for(P in subset=LookupSupportedLocales(availableLocales,requestedLocales))hop.call(subset,P)&&defineProperty(subset,P,{writable:!1,configurable:!1,value:subset[P]});return defineProperty(subset,"length",{writable:!1}),subset}function GetOption(options,property,type,values,fallback){options=options[property];if(void 0===options)return fallback;if(options="boolean"===type?Boolean(options):"string"===type?String(options):options,void 0!==values&&-1===arrIndexOf.call(values,options))throw new RangeError("'"+options+"' is not an allowed value for `"+property+"`");return options}function GetNumberOption(options,property,minimum,maximum,fallback){options=options[property];if(void 0===options)return fallback;if(options=Number(options),isNaN(options)||options<minimum||maximum<options)throw new RangeError("Value is not a number or outside accepted range");return Math.floor(options)}function NumberFormatConstructor(){var locales=arguments[0],options=arguments[1];return this&&this!==Intl?InitializeNumberFormat(toObject(this),locales,options):new Intl.NumberFormat(locales,options)}function InitializeNumberFormat(numberFormat,locales,options){var internal=getInternalProperties(numberFormat),regexpState=createRegExpRestore();if(!0===internal["[[initializedIntlObject]]"])throw new TypeError("`this` object has already been initialized as an Intl object");defineProperty(numberFormat,"__getInternalProperties",{value:function(){if(arguments[0]===secret)return internal}}),internal["[[initializedIntlObject]]"]=!0;var locales=CanonicalizeLocaleList(locales),opt=(options=void 0===options?{}:toObject(options),new Record),matcher=GetOption(options,"localeMatcher","string",new List("lookup","best fit"),"best fit"),matcher=(opt["[[localeMatcher]]"]=matcher,internals.NumberFormat["[[localeData]]"]),locales=ResolveLocale(internals.NumberFormat["[[availableLocales]]"],locales,opt,internals.NumberFormat["[[relevantExtensionKeys]]"],matcher),opt=(internal["[[locale]]"]=locales["[[locale]]"],internal["[[numberingSystem]]"]=locales["[[nu]]"],internal["[[measurementSystem]]"]=locales["[[ms]]"],internal["[[dataLocale]]"]=locales["[[dataLocale]]"],locales["[[dataLocale]]"]),locales=GetOption(options,"style","string",new List("decimal","percent","currency","unit"),"decimal"),c=(internal["[[style]]"]=locales,GetOption(options,"currency","string"));if(void 0!==c&&(currency=c,currency=toLatinUpperCase(String(c)),!1===expCurrencyCode.test(currency)))throw new RangeError("'"+c+"' is not a valid currency code");if("currency"===locales&&void 0===c)throw new TypeError("Currency code is required when style is currency");"currency"===locales&&(c=c.toUpperCase(),cDigits=function(currency){return void 0!==currencyMinorUnits[currency]?currencyMinorUnits[currency]:2}(internal["[[currency]]"]=c));var currency=GetOption(options,"currencyDisplay","string",new List("code","symbol","narrowSymbol","name"),"symbol"),cs=("currency"===locales&&(internal["[[currencyDisplay]]"]=currency),GetOption(options,"currencySign","string",new List("standard","accounting"),"standard")),cu=("currency"===locales&&(internal["[[currencySign]]"]=cs),GetOption(options,"currencyUsage","string",new List("standard","cash"),"standard")),cRounding=0,c=("currency"===locales&&(internal["[[currencyUsage]]"]=cu,hop.call(currencyFractions,c))&&("cash"===cu&&(cDigits=currencyFractions[c][2]),cRounding=currencyFractions[c]["cash"===cu?3:1]),GetOption(options,"unit","string"));if(void 0!==c&&!IsSanctionedSimpleUnitIdentifier(cu=c)&&((idx=cu.indexOf("-per-"))<0||-1<cu.indexOf("-per-",idx+1)||!IsSanctionedSimpleUnitIdentifier(cu.slice(0,idx))||!IsSanctionedSimpleUnitIdentifier(cu.slice(idx+5))))throw new RangeError("'"+c+"' is not a valid unit identifier");if("unit"===locales&&void 0===c)throw new TypeError("Unit is required when style is unit");var cu=GetOption(options,"unitDisplay","string",new List("short","narrow","long"),"short"),idx=GetOption(options,"usage","string");if(void 0!==idx&&!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(idx))throw new RangeError("'"+idx+"' is not a valid unit usage");"unit"===locales&&(internal["[[unit]]"]=c,internal["[[unitDisplay]]"]=cu,void 0!==idx)&&(internal["[[usage]]"]=idx);c=GetOption(options,"notation","string",new List("standard","scientific","engineering","compact"),"standard"),internal["[[notation]]"]=c,cu=GetNumberOption(options,"roundingIncrement",1,5e3,1);if(arrIndexOf.call(roundingIncrements,cu)<0)throw new RangeError("roundingIncrement must be one of "+arrJoin.call(roundingIncrements,", "));var mnfdDefault="currency"===locales?cDigits:0,mnfdDefault=(SetNumberFormatDigitOptions(internal,options,mnfdDefault,"currency"===locales||1!==cu?mnfdDefault:"percent"===locales?0:3),internal["[[minimumFractionDigits]]"]),mxfd=internal["[[maximumFractionDigits]]"];if(internal["[[compactRounding]]"]="compact"===c&&!hop.call(internal,"[[minimumSignificantDigits]]")&&void 0===options.minimumFractionDigits&&void 0===options.maximumFractionDigits,1!==(cu=1===cu&&1<cRounding&&-1<arrIndexOf.call(roundingIncrements,cRounding)&&mnfdDefault===cDigits&&mxfd===cDigits&&!hop.call(internal,"[[minimumSignificantDigits]]")&&!internal["[[compactRounding]]"]?cRounding:cu)){if(hop.call(internal,"[[minimumSignificantDigits]]")||internal["[[compactRounding]]"])throw new TypeError("roundingIncrement can only be used with fraction digits");if(mxfd!==mnfdDefault)throw new RangeError("roundingIncrement needs equal minimumFractionDigits and maximumFractionDigits")}internal["[[roundingIncrement]]"]=cu;var cDigits=GetOption(options,"roundingMode","string",new List("ceil","floor","expand","trunc","halfCeil","halfFloor","halfExpand","halfTrunc","halfEven"),"halfExpand"),cRounding=(internal["[[roundingMode]]"]=cDigits,GetOption(options,"trailingZeroDisplay","string",new List("auto","stripIfInteger"),"auto")),mxfd=(internal["[[trailingZeroDisplay]]"]=cRounding,GetOption(options,"compactDisplay","string",new List("short","long"),"short")),mnfdDefault=("compact"===c&&(internal["[[compactDisplay]]"]=mxfd),"compact"===c?"min2":"auto"),cu=function(options,property,stringValues,fallback){if(void 0===(options=options[property]))return fallback;if(!0===options)return!0;if(!options)return!1;if(options=String(options),-1===arrIndexOf.call(stringValues,options))throw new RangeError("'"+options+"' is not an allowed value for `"+property+"`");return options}(options,"useGrouping",new List("min2","auto","always","true","false"),mnfdDefault),cDigits=("true"===cu||"false"===cu?cu=mnfdDefault:!0===cu&&(cu="always"),internal["[[useGrouping]]"]=cu,GetOption(options,"signDisplay","string",new List("auto","never","always","exceptZero","negative"),"auto")),cRounding=(internal["[[signDisplay]]"]=cDigits,matcher[opt]),mxfd=cRounding.patterns,c=mxfd["unit"===locales||"currency"===locales&&"name"===currency&&cRounding.currencyPatterns?"decimal":"currency"===locales&&"accounting"===cs&&mxfd.accounting?"accounting":locales];return internal["[[positivePattern]]"]=c.positivePattern,internal["[[negativePattern]]"]=c.negativePattern,internal["[[plusPattern]]"]=/\{minusSign\}|-/.test(c.negativePattern)?c.negativePattern.replace(/\{minusSign\}|-/,"{plusSign}"):"{plusSign}"+c.positivePattern,internal["[[primaryGroupingSize]]"]=hop.call(c,"primaryGroupingSize")?c.primaryGroupingSize:3,internal["[[secondaryGroupingSize]]"]=hop.call(c,"secondaryGroupingSize")?c.secondaryGroupingSize:internal["[[primaryGroupingSize]]"],internal["[[minimumGroupingDigits]]"]="always"===cu?1:"min2"===cu?2:cRounding.minimumGroupingDigits||1,internal["[[boundFormat]]"]=void 0,internal["[[initializedNumberFormat]]"]=!0,regexpState.exp.test(regexpState.input),numberFormat}function SetNumberFormatDigitOptions(internal,options,mnfdDefault,mxfdDefault){var mnid=GetNumberOption(options,"minimumIntegerDigits",1,21,1),mnfdDefault=GetNumberOption(options,"minimumFractionDigits",0,100,mnfdDefault),mxfdDefault=GetNumberOption(options,"maximumFractionDigits",mnfdDefault,100,Math.max(mnfdDefault,mxfdDefault)),mnsd=options.minimumSignificantDigits,mxsd=options.maximumSignificantDigits;internal["[[minimumIntegerDigits]]"]=mnid,internal["[[minimumFractionDigits]]"]=mnfdDefault,internal["[[maximumFractionDigits]]"]=mxfdDefault,void 0===mnsd&&void 0===mxsd||(mnsd=GetNumberOption(options,"minimumSignificantDigits",1,21,1),mxsd=GetNumberOption(options,"maximumSignificantDigits",mnsd,21,21),internal["[[minimumSignificantDigits]]"]=mnsd,internal["[[maximumSignificantDigits]]"]=mxsd)}function getRangeLayers(parts){var result=new Record,layers=["middle","outer","inner"],inNumber=!1;result["[[number]]"]=new List;for(var i=0;i<layers.length;i++)result[layers[i]]={"[[prefix]]":new List,"[[suffix]]":new List,"[[text]]":""};for(i=0;i<parts.length;i++){var part=parts[i],layer=result["compact"===part["[[pattern]]"]?"inner":part["[[pattern]]"]?"outer":"middle"];hop.call(numberPartTypes,part["[[type]]"])?(arrPush.call(result["[[number]]"],part),inNumber=!0):arrPush.call(layer[inNumber?"[[suffix]]":"[[prefix]]"],part)}for(i=0;i<layers.length;i++){for(var pre="",suf="",l=result[layers[i]],j=0;j<l["[[prefix]]"].length;j++)pre+=l["[[prefix]]"][j]["[[value]]"];for(j=0;j<l["[[suffix]]"].length;j++)suf+=l["[[suffix]]"][j]["[[value]]"];l["[[text]]"]=pre||suf?pre+"{number}"+suf:""}return result}function PartitionNumberRangePattern(numberFormat,x,y){if(isNaN(x)||isNaN(y))throw new RangeError("The start and end of a range must be numbers");var collapseOuter,collapseMiddle,add,addNumber,regexpState=createRegExpRestore(),internal=getInternalProperties(numberFormat),internal=internals.NumberFormat["[[localeData]]"][internal["[[dataLocale]]"]].rangePattern||"{0}\u2013{1}",xResult=PartitionNumberPattern(numberFormat,x),yResult=PartitionNumberPattern(numberFormat,y),xLayers=getRangeLayers(xResult),yLayers=getRangeLayers(yResult),result=new List;return FormatNumber(numberFormat,x)===FormatNumber(numberFormat,y)?(result=function(numberFormat,result){var numberFormat=getInternalProperties(numberFormat),numberFormat=internals.NumberFormat["[[localeData]]"][numberFormat["[[dataLocale]]"]].approximatelyPattern||"~{0}",idx=numberFormat.indexOf("{0}"),parts=new List;0<idx&&arrPush.call(parts,{"[[type]]":"approximatelySign","[[value]]":numberFormat.slice(0,idx)});arrPush.apply(parts,arrSlice.call(result)),idx+3<numberFormat.length&&arrPush.call(parts,{"[[type]]":"approximatelySign","[[value]]":numberFormat.slice(idx+3)});for(var i=0;i<parts.length;i++)parts[i]["[[source]]"]="shared";return parts}(numberFormat,xResult),regexpState.exp.test(regexpState.input)):(collapseOuter=(xLayers=xLayers.outer["[[text]]"]!==yLayers.outer["[[text]]"]&&yResult["[[plural]]"]&&(y=getRangeLayers(PartitionNumberPattern(numberFormat,x,yResult["[[plural]]"]))).outer["[[text]]"]===yLayers.outer["[[text]]"]?y:xLayers).outer["[[text]]"]===yLayers.outer["[[text]]"],collapseMiddle=collapseOuter&&xLayers.middle["[[text]]"]===yLayers.middle["[[text]]"]&&toCodePoints(xLayers.middle["[[text]]"]).length>"{number}".length+1,xResult=!collapseOuter&&xLayers.outer["[[text]]"]||!collapseMiddle&&xLayers.middle["[[text]]"]||xLayers.inner["[[text]]"],numberFormat=internal.indexOf("{0}"),x=internal.indexOf("{1}"),yResult=internal.slice(numberFormat+3,x),add=function(parts,source){for(var j=0;j<parts.length;j++)parts[j]["[[source]]"]=source,arrPush.call(result,parts[j])},y=function(text){text&&arrPush.call(result,{"[[type]]":"literal","[[value]]":text,"[[source]]":"shared"})},addNumber=function(layers,source){collapseMiddle||add(layers.middle["[[prefix]]"],source),collapseOuter||add(layers.outer["[[prefix]]"],source),add(layers.inner["[[prefix]]"],source),add(layers["[[number]]"],source),add(layers.inner["[[suffix]]"],source),collapseOuter||add(layers.outer["[[suffix]]"],source),collapseMiddle||add(layers.middle["[[suffix]]"],source)},xResult&&(yResult=(/^\s/.test(yResult)?"":" ")+yResult+(/\s$/.test(yResult)?"":" ")),y(internal.slice(0,numberFormat)),collapseMiddle&&add(xLayers.middle["[[prefix]]"],"shared"),collapseOuter&&add(xLayers.outer["[[prefix]]"],"shared"),addNumber(xLayers,"startRange"),y(yResult),addNumber(yLayers,"endRange"),collapseOuter&&add(yLayers.outer["[[suffix]]"],"shared"),collapseMiddle&&add(yLayers.middle["[[suffix]]"],"shared"),y(internal.slice(x+3)),regexpState.exp.test(regexpState.input)),result}defineProperty(Intl,"NumberFormat",{configurable:!0,writable:!0,value:NumberFormatConstructor}),defineProperty(Intl.NumberFormat,"prototype",{writable:!1}),internals.NumberFormat={"[[availableLocales]]":[],"[[relevantExtensionKeys]]":["nu","ms"],"[[localeData]]":{}},defineProperty(Intl.NumberFormat,"supportedLocalesOf",{configurable:!0,writable:!0,value:fnBind.call(supportedLocalesOf,internals.NumberFormat)}),defineProperty(Intl.NumberFormat.prototype,"format",{configurable:!0,get:function(){var bf,internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(internal&&internal["[[initializedNumberFormat]]"])return void 0===internal["[[boundFormat]]"]&&(bf=fnBind.call(function(value){return FormatNumber(this,ToIntlMathematicalValue(value))},this),internal["[[boundFormat]]"]=bf),internal["[[boundFormat]]"];throw new TypeError("`this` value for format() is not an initialized Intl.NumberFormat object.")}}),defineProperty(Intl.NumberFormat.prototype,"formatToParts",{configurable:!0,writable:!0,value:function(value){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedNumberFormat]]"])throw new TypeError("`this` value for formatToParts() is not an initialized Intl.NumberFormat object.");for(var parts=PartitionNumberPattern(this,ToIntlMathematicalValue(value)),result=[],i=0,max=parts.length;i<max;i++)arrPush.call(result,{type:parts[i]["[[type]]"],value:parts[i]["[[value]]"]});return result}}),defineProperty(Intl.NumberFormat.prototype,"formatRange",{configurable:!0,writable:!0,value:function(start,end){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedNumberFormat]]"])throw new TypeError("`this` value for formatRange() is not an initialized Intl.NumberFormat object.");if(void 0===start||void 0===end)throw new TypeError("formatRange() needs the start and end of the range");for(var parts=PartitionNumberRangePattern(this,ToIntlMathematicalValue(start),ToIntlMathematicalValue(end)),result="",i=0,max=parts.length;i<max;i++)result+=parts[i]["[[value]]"];return result}}),defineProperty(Intl.NumberFormat.prototype,"formatRangeToParts",{configurable:!0,writable:!0,value:function(start,end){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedNumberFormat]]"])throw new TypeError("`this` value for formatRangeToParts() is not an initialized Intl.NumberFormat object.");if(void 0===start||void 0===end)throw new TypeError("formatRangeToParts() needs the start and end of the range");for(var parts=PartitionNumberRangePattern(this,ToIntlMathematicalValue(start),ToIntlMathematicalValue(end)),result=[],i=0,max=parts.length;i<max;i++)arrPush.call(result,{type:parts[i]["[[type]]"],value:parts[i]["[[value]]"],source:parts[i]["[[source]]"]});return result}}),defineProperty(Intl.NumberFormat.prototype,"parse",{configurable:!0,writable:!0,value:function(string,options){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedNumberFormat]]"])throw new TypeError("`this` value for parse() is not an initialized Intl.NumberFormat object.");internal=GetOption(options=void 0===options?{}:toObject(options),"strict","boolean",void 0,!1),options=function(numberFormat,string,strict){function normalize(str){return str=str.replace(/\s+/g," "),str=strict?str:str.replace(/[ \u061C\u200E\u200F]/g,"").replace(/[\u2212\u2012\u2013\uFE63\uFF0D]/g,"-").replace(/[\uFE62\uFF0B]/g,"+")}var regexpState=createRegExpRestore(),internal=getInternalProperties(numberFormat),nums=internal["[[numberingSystem]]"],data=internals.NumberFormat["[[localeData]]"][internal["[[dataLocale]]"]],ild=data.symbols[nums]||data.symbols.latn,nums=function(numberFormat){var internal=getInternalProperties(numberFormat);if(internal["[[parseAffixes]]"])return internal["[[parseAffixes]]"];for(var result=new List,seen=objCreate(null),i=0;i<2*parseSamples.length;i++){for(var x=i<parseSamples.length?parseSamples[i]:-parseSamples[i-parseSamples.length],parts=PartitionNumberPattern(numberFormat,x),prefix="",suffix="",inNumber=!1,compact=!1,j=0;j<parts.length;j++){var type=parts[j]["[[type]]"];hop.call(numberPartTypes,type)?inNumber=!0:inNumber?suffix+=parts[j]["[[value]]"]:prefix+=parts[j]["[[value]]"],compact=compact||"compact"===type}compact||seen[prefix+"{number}"+suffix]||(seen[prefix+"{number}"+suffix]=!0,arrPush.call(result,{"[[prefix]]":prefix,"[[suffix]]":suffix,"[[negative]]":x<0}))}return internal["[[parseAffixes]]"]=result}(numberFormat),currency=internal["[[currency]]"],result=NaN,input=normalize(string.replace(/^\s+|\s+$/g,"")),currencies=new List;if("currency"===internal["[[style]]"]&&!strict&&(arrPush.call(currencies,currency),data.currencies[currency]&&arrPush.call(currencies,data.currencies[currency]),data.currencyNames)&&hop.call(data.currencyNames,currency))for(var k in data.currencyNames[currency])hop.call(data.currencyNames[currency],k)&&arrPush.call(currencies,data.currencyNames[currency][k]);var candidates=new List,formats=arrSlice.call(nums);strict||arrPush.call(formats,{"[[prefix]]":"","[[suffix]]":"","[[negative]]":!1});for(var i=0;i<formats.length;i++)arrPush.call(candidates,formats[i]),strict||formats[i]["[[negative]]"]||arrPush.call(candidates,{"[[prefix]]":"-"+formats[i]["[[prefix]]"],"[[suffix]]":formats[i]["[[suffix]]"],"[[negative]]":!0});for(i=0;i<candidates.length;i++){for(var prefix=normalize(candidates[i]["[[prefix]]"]),suffix=normalize(candidates[i]["[[suffix]]"]),variants=new List(prefix+"\n"+suffix),j=0;j<currencies.length;j++)for(var c=0;c<currencies.length;c++){var from=normalize(currencies[j]),to=normalize(currencies[c]);from&&from!==to&&-1<(prefix+"\n"+suffix).indexOf(from)&&arrPush.call(variants,(prefix+"\n"+suffix).replace(from,to))}for(j=0;j<variants.length;j++){var affix=variants[j].split("\n");if(!(input.length<=affix[0].length+affix[1].length||input.slice(0,affix[0].length)!==affix[0]||input.slice(input.length-affix[1].length)!==affix[1])){affix=function(internal,data,ild,str,strict){for(var fraction,exponent,c,nums=internal["[[numberingSystem]]"],digits=numSys[nums]||data.digits&&hop.call(data.digits,nums)&&data.digits[nums]||"0123456789",values=objCreate(null),exponential=ild.exponential||"E",minus=getSignSymbol(ild,"minusSign"),decimal=ild.decimal,group=ild.group.replace(/\s+/g,strict?" ":""),integer="",groups=new List,pos=0,i=0;i<10;i++)values[digits[i]]=i,strict||(values[i]=i);if(str===ild.infinity)return 1/0;for(;pos<str.length;){if(c=str.slice(pos,/[\uD800-\uDBFF]/.test(str.charAt(pos))?pos+2:pos+1),void 0!==exponent)if(""!==exponent||c!==minus&&(strict||"-"!==c)){if(!(c in values))return NaN;exponent+=values[c]}else exponent="-";else if(c in values)void 0!==fraction?fraction+=values[c]:integer+=values[c];else if(group&&void 0===fraction&&str.indexOf(group,pos)===pos){if(!integer||pos+group.length>=str.length)return NaN;arrPush.call(groups,integer.length),c=group}else if(void 0===fraction&&str.indexOf(decimal,pos)===pos)fraction="",c=decimal;else{if("standard"===internal["[[notation]]"]||!integer&&!fraction||str.indexOf(exponential,pos)!==pos)return NaN;exponent="",c=exponential}pos+=c.length}if(!integer&&!fraction||groups.length&&groups[groups.length-1]===integer.length||""===exponent||"-"===exponent||strict&&(!integer||""===fraction))return NaN;for(i=1;i<groups.length;i++)if(groups[i]===groups[i-1])return NaN;if(strict){var expected=!1===internal["[[useGrouping]]"]?new List(integer):groupDigits(integer,internal["[[primaryGroupingSize]]"],internal["[[secondaryGroupingSize]]"],internal["[[minimumGroupingDigits]]"]);for(c=i=0;i<expected.length-1;i++)if(c+=expected[i].length,groups[i]!==c)return NaN;if(groups.length!==expected.length-1)return NaN}data=Number((integer||"0")+(fraction?"."+fraction:"")+(exponent?"e"+exponent:""));return"percent"===internal["[[style]]"]?Number(scaleDecimal(data,-2)):data}(internal,data,ild,input.slice(affix[0].length,input.length-affix[1].length),strict);if(!isNaN(affix)){if(candidates[i]["[[negative]]"]&&(affix=-affix),!isNaN(result)&&affix!==result)return regexpState.exp.test(regexpState.input),NaN;result=affix}}}}return regexpState.exp.test(regexpState.input),result}(this,String(string),internal);if(internal&&isNaN(options))throw new RangeError("'"+string+"' is not a number in the format of this NumberFormat");return options}});var numberPartTypes={integer:!0,group:!0,decimal:!0,fraction:!0,nan:!0,infinity:!0,exponentSeparator:!0,exponentMinusSign:!0,exponentInteger:!0},parseSamples=[1,0,2,3,5,7,11,21,.5,1.5,100,1e6];function ToIntlMathematicalValue(value){Object(value)===value&&(value="function"==typeof value.valueOf?value.valueOf():value);var zeros,e,digits,m="string"==typeof(value=Object(value)!==value&&/^(?:string|number|boolean|undefined|symbol|object)$/.test(typeof value)?value:String(value))&&/^\s*([+\-])?(?:(\d+)\.?(\d*)|\.(\d+))(?:[eE]([+\-]?\d+))?\s*$/.exec(value);return m?(digits=(m[2]||"")+(m[3]||m[4]||""),e=Number(m[5]||0)+(m[2]||"").length-1,zeros=/^0*/.exec(digits)[0].length,digits=digits.slice(zeros).replace(/0+$/,""),e-=zeros,zeros=("-"===m[1]?"-":"")+digits.charAt(0)+(1<digits.length?"."+digits.slice(1):"")+"e"+(e<0?"":"+")+e,e=Number(digits?zeros:"-"===m[1]?"-0":"0"),digits&&isFinite(e)&&0!==e&&Number.prototype.toExponential.call(e)!==zeros?zeros:e):Number(value)}function FormatNumber(numberFormat,x){for(var parts=PartitionNumberPattern(numberFormat,x),result="",i=0,max=parts.length;i<max;i++)result+=parts[i]["[[value]]"];return result}function PartitionNumberPattern(numberFormat,x,plural){var compact,sci,regexpState=createRegExpRestore(),internal=getInternalProperties(numberFormat),numberFormat=internal["[[dataLocale]]"],nums=internal["[[numberingSystem]]"],data=internals.NumberFormat["[[localeData]]"][numberFormat],ild=data.symbols[nums]||data.symbols.latn,unit=internal["[[unit]]"],numberParts=new List,numberFormat=!1,zero=isNaN(x),negative=!1;if("percent"===internal["[[style]]"]&&isFinite(x)&&(x=scaleDecimal(x,2)),!1===isFinite(x))isNaN(x)?arrPush.call(numberParts,{"[[type]]":"nan","[[value]]":ild.nan}):(arrPush.call(numberParts,{"[[type]]":"infinity","[[value]]":ild.infinity}),x<0&&(negative=!0));else{hop.call(internal,"[[usage]]")&&(converted=function(internal,data,x){var from=getUnitConversion(internal["[[unit]]"]);if(!from)return;var to,v,i,max,result=new Record,base=x*from[1]+(from[2]||0),x=internal["[[measurementSystem]]"],list=function(region,category,usage){function get(obj,key){return obj&&hop.call(obj,key)?obj[key]:void 0}region=get(get(unitPreferences,region),category),category=get(unitPreferences["001"],category);return get(region,usage)||get(category,usage)||get(region,"default")||get(category,"default")}(x===data.ms[0]?data.region:msRegions[x],from[0],internal["[[usage]]"]);if(list){for(i=0,max=list.length;i<max&&(to=getUnitConversion(list[i][0]),v=(base-(to[2]||0))/to[1],!(Math.abs(v)>=list[i][1]||i===max-1));i++);result["[[unit]]"]=list[i][0]}else{for(i=0,max=unitScales.length;i<max;i++)-1<arrIndexOf.call(unitScales[i],internal["[[unit]]"])&&(list=unitScales[i]);if(!list)return;for(i=list.length-1;0<i&&!(1<=Math.abs(base/unitConversions[list[i]][1]));i--);to=unitConversions[list[i]],v=base/to[1],result["[[unit]]"]=list[i]}return result["[[x]]"]=v,result}(internal,data,x))&&(unit=converted["[[unit]]"],x=converted["[[x]]"]),numberFormat=0===x&&1/x<0,x<0&&(negative=!0,x="string"==typeof x?x.slice(1):-x);var digits,converted=function(internal,negative){internal=internal["[[roundingMode]]"]||"halfExpand";return unsignedRoundingModes[internal][negative?1:0]}(internal,negative),converted=(x="compact"===internal["[[notation]]"]&&(compact=function(internal,data,x,mode){var patterns=data.compact&&(data.compact[internal["[[compactDisplay]]"]]||data.compact.short);if(!patterns)return;for(var type,exponent,v,n,result=new Record,magnitude=0===x?0:Number(toExponentialParts(x)[1]),i=0;i<2;i++,magnitude++){for(type=magnitude;0<type&&!hop.call(patterns,type);type--);if(exponent=0<type?patterns[type].exponent:0,v=scaleDecimal(x,-exponent),n=internal["[[compactRounding]]"]?0<magnitude-exponent?ToRawFixed(v,internal["[[minimumIntegerDigits]]"],0,0,1,mode):ToRawPrecision(v,1,2,mode):hop.call(internal,"[[minimumSignificantDigits]]")?ToRawPrecision(v,internal["[[minimumSignificantDigits]]"],internal["[[maximumSignificantDigits]]"],mode):ToRawFixed(v,internal["[[minimumIntegerDigits]]"],internal["[[minimumFractionDigits]]"],internal["[[maximumFractionDigits]]"],internal["[[roundingIncrement]]"],mode),Number(n)<Math.pow(10,magnitude-exponent+1))break}result["[[exponent]]"]=exponent,result["[[n]]"]=n,0<type&&(data=getPluralCategory(data.plurals&&data.plurals.cardinal,n,exponent),result["[[pattern]]"]=patterns[type][data]||patterns[type].other);return result}(internal,data,x,converted))?compact["[[n]]"]:"scientific"===internal["[[notation]]"]||"engineering"===internal["[[notation]]"]?(sci=function(internal,x,mode){for(var exponent,n,result=new Record,magnitude=0===x?0:Number(toExponentialParts(x)[1]),i=0;i<2;i++,magnitude++){exponent="engineering"===internal["[[notation]]"]?3*Math.floor(magnitude/3):magnitude;var v=scaleDecimal(x,-exponent);if(n=hop.call(internal,"[[minimumSignificantDigits]]")?ToRawPrecision(v,internal["[[minimumSignificantDigits]]"],internal["[[maximumSignificantDigits]]"],mode):ToRawFixed(v,internal["[[minimumIntegerDigits]]"],internal["[[minimumFractionDigits]]"],internal["[[maximumFractionDigits]]"],internal["[[roundingIncrement]]"],mode),Number(n)<Math.pow(10,magnitude-exponent+1))break}return result["[[exponent]]"]=exponent,result["[[n]]"]=n,result}(internal,x,converted))["[[n]]"]:hop.call(internal,"[[minimumSignificantDigits]]")&&hop.call(internal,"[[maximumSignificantDigits]]")?ToRawPrecision(x,internal["[[minimumSignificantDigits]]"],internal["[[maximumSignificantDigits]]"],converted):ToRawFixed(x,internal["[[minimumIntegerDigits]]"],internal["[[minimumFractionDigits]]"],internal["[[maximumFractionDigits]]"],internal["[[roundingIncrement]]"],converted),"stripIfInteger"===internal["[[trailingZeroDisplay]]"]&&(x=x.replace(/\.0+$/,"")),plural||"unit"!==internal["[[style]]"]&&"name"!==internal["[[currencyDisplay]]"]||(plural=getPluralCategory(data.plurals&&data.plurals.cardinal,x,compact?compact["[[exponent]]"]:0)),zero=0===Number(x),numSys[nums]?(digits=numSys[internal["[[numberingSystem]]"]],x=String(x).replace(/\d/g,function(digit){return digits[digit]})):(x=String(x),data.digits&&hop.call(data.digits,nums)?(digits=data.digits[nums],x=x.replace(/\d/g,function(digit){return digits[digit]})):hop.call(algNumSys,nums)&&/^\d+$/.test(x)&&(alg=algNumSys[nums](Number(x))),void 0!==alg&&(x=alg)),x.indexOf(".")),integer=-1<converted?x.slice(0,converted):x,x=-1<converted?x.slice(converted+1):void 0;if(!1!==internal["[[useGrouping]]"]&&void 0===alg)for(var groups=groupDigits(integer,internal["[[primaryGroupingSize]]"],internal["[[secondaryGroupingSize]]"],internal["[[minimumGroupingDigits]]"]),i=0,max=groups.length;i<max;i++)0<i&&arrPush.call(numberParts,{"[[type]]":"group","[[value]]":ild.group}),arrPush.call(numberParts,{"[[type]]":"integer","[[value]]":groups[i]});else arrPush.call(numberParts,{"[[type]]":"integer","[[value]]":integer});if(void 0!==x&&(arrPush.call(numberParts,{"[[type]]":"decimal","[[value]]":ild.decimal}),arrPush.call(numberParts,{"[[type]]":"fraction","[[value]]":x})),sci){for(var exponent=String(Math.abs(sci["[[exponent]]"])),expDigits=numSys[nums]||data.digits&&hop.call(data.digits,nums)&&data.digits[nums],minExpDigits=data.patterns.scientific?data.patterns.scientific.minimumExponentDigits:1;exponent.length<minExpDigits;)exponent="0"+exponent;expDigits&&(exponent=exponent.replace(/\d/g,function(digit){return expDigits[digit]})),arrPush.call(numberParts,{"[[type]]":"exponentSeparator","[[value]]":ild.exponential||"E"}),sci["[[exponent]]"]<0&&arrPush.call(numberParts,{"[[type]]":"exponentMinusSign","[[value]]":getSignSymbol(ild,"minusSign")}),arrPush.call(numberParts,{"[[type]]":"exponentInteger","[[value]]":exponent})}}for(var match,cd,parts,cData,converted=internal["[[signDisplay]]"],alg="never"===converted||zero&&("exceptZero"===converted||"negative"===converted)?"[[positivePattern]]":!0===negative||numberFormat&&"always"===converted?"[[negativePattern]]":"always"===converted||"exceptZero"===converted?"[[plusPattern]]":"[[positivePattern]]",pattern=internal[alg],result=new List,expPlaceholder=/\{(\w+)\}/g,lastIndex=0;null!==(match=expPlaceholder.exec(pattern));)addLiteralParts(result,pattern.slice(lastIndex,match.index),ild),lastIndex=expPlaceholder.lastIndex,"number"===match[1]?(parts=numberParts,compact&&compact["[[pattern]]"]&&(parts=insertPatternParts(compact["[[pattern]]"],"{number}","compact",parts)),"unit"===internal["[[style]]"]?parts=insertPatternParts(function(internal,data,unit,category){function get(u,c){return hop.call(units,u)?units[u][c]||units[u].other:"{0} "+u}var internal=internal["[[unitDisplay]]"],units=data.units&&(data.units[internal]||data.units.short)||{},idx=unit.indexOf("-per-");return idx<0||hop.call(units,unit)?get(unit,category):(category=get(unit.slice(0,idx),category),unit=unit.slice(idx+5),idx=data.compoundUnitPatterns&&data.compoundUnitPatterns[internal]||"{0}/{1}",hop.call(units,unit)&&units[unit].perUnitPattern?units[unit].perUnitPattern.replace("{0}",category):idx.replace("{0}",category).replace("{1}",get(unit,"one").replace("{0}","").replace(/^\s+|\s+$/g,"")))}(internal,data,unit,plural||"other"),"{0}","unit",parts):"name"===internal["[[currencyDisplay]]"]&&data.currencyPatterns&&(parts=insertPatternParts((data.currencyPatterns[plural]||data.currencyPatterns.other).replace("{1}",getCurrencyName(data,internal["[[currency]]"],plural||"other")),"{0}","currency",parts)),arrPush.apply(result,arrSlice.call(parts))):"currency"===match[1]&&"currency"===internal["[[style]]"]?(parts=internal["[[currency]]"],cData=data.currencies[parts],"code"===internal["[[currencyDisplay]]"]?cd=parts:"symbol"===internal["[[currencyDisplay]]"]?cd=cData||parts:"narrowSymbol"===internal["[[currencyDisplay]]"]?cd=data.narrowCurrencies&&data.narrowCurrencies[parts]||cData||parts:"name"===internal["[[currencyDisplay]]"]&&(cd=getCurrencyName(data,parts,plural||"other")),arrPush.call(result,{"[[type]]":"currency","[[value]]":cd})):hop.call(signParts,match[1])?arrPush.call(result,{"[[type]]":signParts[match[1]],"[[value]]":getSignSymbol(ild,match[1])}):addLiteralParts(result,match[0],ild);return addLiteralParts(result,pattern.slice(lastIndex),ild),(result="currency"===internal["[[style]]"]&&"name"!==internal["[[currencyDisplay]]"]?function(parts,spacing,digits){for(var result=new List,edge=function(part,first){part=toCodePoints(part["[[value]]"]);return part[first?0:part.length-1]},spaced=function(side,currency,number){side=spacing[side]||rootCurrencySpacing;return void 0!==currency&&void 0!==number&&testCurrencySpacingSet(side.currencyMatch,currency,digits)&&testCurrencySpacingSet(side.surroundingMatch,number,digits)},insert=function(side){arrPush.call(result,{"[[type]]":"literal","[[value]]":(spacing[side]||rootCurrencySpacing).insertBetween})},i=0;i<parts.length;i++){var part=parts[i],prev=parts[i-1],next=parts[i+1];"currency"===part["[[type]]"]&&prev&&hop.call(numberPartTypes,prev["[[type]]"])&&spaced("beforeCurrency",edge(part,!0),edge(prev))&&insert("beforeCurrency"),arrPush.call(result,part),"currency"===part["[[type]]"]&&next&&hop.call(numberPartTypes,next["[[type]]"])&&spaced("afterCurrency",edge(part),edge(next,!0))&&insert("afterCurrency")}return result}(result,data.currencySpacing||{},numSys[nums]||data.digits&&data.digits[nums]||[]):result)["[[plural]]"]=plural,regexpState.exp.test(regexpState.input),result}function groupDigits(integer,primary,secondary,minimum){var groups=new List,digits=toCodePoints(integer),end=digits.length;if(0<primary&&primary+minimum<=end)for(arrPush.call(groups,arrJoin.call(arrSlice.call(digits,end-primary),"")),end-=primary;0<secondary&&secondary<end;)arrPush.call(groups,arrJoin.call(arrSlice.call(digits,end-secondary,end),"")),end-=secondary;return arrPush.call(groups,arrJoin.call(arrSlice.call(digits,0,end),"")),arrSlice.call(groups).reverse()}function getCurrencyName(data,currency,category){data=data.currencyNames&&data.currencyNames[currency];return data?data[category]||data.other:currency}function insertPatternParts(pattern,placeholder,type,numberParts){function add(text){(text=/^(\s*)([\s\S]*?)(\s*)$/.exec(text))[1]&&arrPush.call(result,{"[[type]]":"literal","[[value]]":text[1],"[[pattern]]":type}),text[2]&&arrPush.call(result,{"[[type]]":type,"[[value]]":text[2],"[[pattern]]":type}),text[3]&&arrPush.call(result,{"[[type]]":"literal","[[value]]":text[3],"[[pattern]]":type})}var idx=pattern.indexOf(placeholder),result=new List;return idx<0?add(pattern):(add(pattern.slice(0,idx)),arrPush.apply(result,arrSlice.call(numberParts)),add(pattern.slice(idx+placeholder.length))),result}function toCodePoints(str){return str.match(/[\uD800-\uDBFF][\uDC00-\uDFFF]|[\s\S]/g)||[]}function testCurrencySpacingSet(set,ch,digits){return"[[:^S:]&[:^Z:]]"===set||"[:^S:]"===set?!(expSymbolChar.test(ch)||"[:^S:]"!==set&&/\s/.test(ch)):("[[:digit:]]"===set||"[:digit:]"===set)&&(/^\d$/.test(ch)||-1<arrIndexOf.call(digits,ch))}function getSignSymbol(ild,sign){return hop.call(ild,sign)&&void 0!==ild[sign]?ild[sign]:"percentSign"===sign&&ild.percent?ild.percent:signSymbols[sign]}function addLiteralParts(result,literal,ild){for(var match,expSigns=/[\-+%\u2030]/g,lastIndex=0;null!==(match=expSigns.exec(literal));){var sign="-"===match[0]?"minusSign":"+"===match[0]?"plusSign":"%"===match[0]?"percentSign":"perMille";lastIndex<match.index&&arrPush.call(result,{"[[type]]":"literal","[[value]]":literal.slice(lastIndex,match.index)}),arrPush.call(result,{"[[type]]":signParts[sign],"[[value]]":getSignSymbol(ild,sign)}),lastIndex=expSigns.lastIndex}lastIndex<literal.length&&arrPush.call(result,{"[[type]]":"literal","[[value]]":literal.slice(lastIndex)})}var roundingIncrements=[1,2,5,10,20,25,50,100,200,250,500,1e3,2e3,2500,5e3],unsignedRoundingModes={ceil:["infinity","zero"],floor:["zero","infinity"],expand:["infinity","infinity"],trunc:["zero","zero"],halfCeil:["half-infinity","half-zero"],halfFloor:["half-zero","half-infinity"],halfExpand:["half-infinity","half-infinity"],halfTrunc:["half-zero","half-zero"],halfEven:["half-even","half-even"]};function toExponentialParts(x){return("string"==typeof x?x:Number.prototype.toExponential.call(x)).split("e")}function scaleDecimal(x,p){return 0===x||0===p?x:(x=toExponentialParts(x),p=Number(x[1])+p,x[0]+"e"+(p<0?"":"+")+p)}function roundDecimal(x,q,increment,mode){for(var zeros="";increment%10==0;)increment/=10,zeros+="0",q++;var x=toExponentialParts(x),digits=x[0].replace(".",""),x=Number(x[1])+1-q,n=(x<0?(digits=arrJoin.call(Array(1-x),"0")+digits,x=0):x>digits.length&&(digits+=arrJoin.call(Array(x-digits.length+1),"0")),digits.slice(0,x)||"0"),digits=digits.slice(x),x=/[1-9]/.test(digits),tail=n.slice(-2),k=Number(tail)%increment,lower=n.slice(0,-2)+String(1e3+Number(tail)-k).slice(-tail.length),n=(tail=increment-2*k)<0?1:0==tail?x?1:0:1<tail?-1:"5"!==digits.charAt(0)?"5"<digits.charAt(0)?1:-1:/[1-9]/.test(digits.slice(1))?1:0;if((0<k||x)&&("infinity"===mode||"zero"!==mode&&(0<n||0==n&&("half-infinity"===mode||"half-even"===mode&&Number(lower.slice(-3))%(2*increment)!=0)))){for(var i=lower.length,carry=increment,sum="";0<carry;carry=Math.floor(carry/10))sum=(carry+=0<i?Number(lower.charAt(--i)):0)%10+sum;lower=lower.slice(0,i)+sum}return"0"===(lower=lower.replace(/^0+(?=\d)/,""))?lower:lower+zeros}function ToRawPrecision(x,minPrecision,maxPrecision,unsignedRoundingMode){var m,e,p=maxPrecision;if(0===x?(m=arrJoin.call(Array(p+1),"0"),e=0):(m=roundDecimal(x,(e=Number(toExponentialParts(x)[1]))-p+1,1,unsignedRoundingMode||"half-infinity")).length>p&&(m=m.slice(0,p),e++),p<=e)return m+arrJoin.call(Array(e-p+1+1),"0");if(e!==p-1&&(0<=e?m=m.slice(0,e+1)+"."+m.slice(e+1):e<0&&(m="0."+arrJoin.call(Array(1-(e+1)),"0")+m),0<=m.indexOf("."))&&minPrecision<maxPrecision){for(var cut=maxPrecision-minPrecision;0<cut&&"0"===m.charAt(m.length-1);)m=m.slice(0,-1),cut--;"."===m.charAt(m.length-1)&&(m=m.slice(0,-1))}return m}function ToRawFixed(x,minInteger,minFraction,maxFraction,roundingIncrement,unsignedRoundingMode){for(var z,f=maxFraction,m=roundDecimal(x,-f,roundingIncrement||1,unsignedRoundingMode||"half-infinity"),unsignedRoundingMode=(0!==f?((x=m.length)<=f&&(m=(z=arrJoin.call(Array(f+1-x+1),"0"))+m,x=f+1),m=(roundingIncrement=m.slice(0,x-f))+"."+m.slice(x-f),roundingIncrement):m).length,cut=maxFraction-minFraction;0<cut&&"0"===m.slice(-1);)m=m.slice(0,-1),cut--;return"."===m.slice(-1)&&(m=m.slice(0,-1)),unsignedRoundingMode<minInteger&&(z=arrJoin.call(Array(minInteger-unsignedRoundingMode+1),"0")),(unsignedRoundingMode<minInteger?z:"")+m}var pluralRuleCache=objCreate(null),pluralCategories=["zero","one","two","few","many"];function getPluralCategory(rules,n,e){for(var idx=n.indexOf("."),fraction=-1<idx?n.slice(idx+1):"",operands={n:Math.abs(Number(n)),i:Math.abs(Number(-1<idx?n.slice(0,idx):n)),v:fraction.length,w:fraction.replace(/0+$/,"").length,f:Number(fraction),t:Number(fraction.replace(/0+$/,"")),e:e||0,c:e||0},i=0;i<pluralCategories.length;i++){var k=pluralCategories[i];if(rules&&hop.call(rules,k)&&function(rule,operands){for(var ors=pluralRuleCache[rule]||(pluralRuleCache[rule]=function(rule){for(var ret=new List,expRelation=/^\s*([nivwftce])\s*(?:(?:mod|%)\s*(\d+)\s*)?(is not|is|not in|in|not within|within|!=|=)\s*([\d.,\s]+?)\s*$/,ors=rule.split(/\s+or\s+/),i=0;i<ors.length;i++){for(var ands=ors[i].split(/\s+and\s+/),cond=new List,j=0;j<ands.length;j++){var m=expRelation.exec(ands[j]),ranges=new List;if(m)for(var list=m[4].split(","),k=0;k<list.length;k++){var range=list[k].split("..");arrPush.call(ranges,[Number(range[0]),Number(range[range.length-1])])}arrPush.call(cond,{operand:m?m[1]:"n",mod:m&&m[2]?Number(m[2]):0,negate:!!m&&/not|!/.test(m[3]),within:!!m&&/within/.test(m[3]),ranges:ranges})}arrPush.call(ret,cond)}return ret}(rule)),i=0;i<ors.length;i++){for(var j=0,ands=ors[i];j<ands.length;j++){for(var rel=ands[j],v=rel.mod?operands[rel.operand]%rel.mod:operands[rel.operand],found=!1,k=0;k<rel.ranges.length&&!found;k++)found=(rel.within||v%1==0)&&v>=rel.ranges[k][0]&&v<=rel.ranges[k][1];if(found===rel.negate)break}if(j===ands.length)return 1}return}(rules[k],operands))return k}return"other"}var signParts={minusSign:"minusSign",plusSign:"plusSign",percentSign:"percentSign",perMille:"perMille"},signSymbols={minusSign:"-",plusSign:"+",percentSign:"%",perMille:"\u2030"},rootCurrencySpacing={currencyMatch:"[[:^S:]&[:^Z:]]",surroundingMatch:"[[:digit:]]",insertBetween:"\xa0"},expSymbolChar=/[$+<=>\^`|~\u00a2-\u00a6\u00a8\u00a9\u00ac\u00ae-\u00b1\u00b4\u00b8\u00d7\u00f7\u058f\u060b\u07fe\u07ff\u09f2\u09f3\u09fb\u0af1\u0bf9\u0e3f\u17db\u20a0-\u20c0\u2100-\u2bff\ua838\ufdfc\ufe69\uff04\uffe0-\uffe6]/,unitConversions={acre:["area",4046.8564224],hectare:["area",1e4],percent:["concentration",.01],bit:["digital",1],byte:["digital",8],kilobit:["digital",1e3],kilobyte:["digital",8e3],megabit:["digital",1e6],megabyte:["digital",8e6],gigabit:["digital",1e9],gigabyte:["digital",8e9],terabit:["digital",1e12],terabyte:["digital",8e12],petabyte:["digital",8e15],nanosecond:["duration",1e-9],microsecond:["duration",1e-6],millisecond:["duration",.001],second:["duration",1],minute:["duration",60],hour:["duration",3600],day:["duration",86400],week:["duration",604800],month:["duration",2629746],year:["duration",31556952],degree:["angle",1],millimeter:["length",.001],centimeter:["length",.01],meter:["length",1],kilometer:["length",1e3],inch:["length",.0254],foot:["length",.3048],yard:["length",.9144],mile:["length",1609.344],"mile-scandinavian":["length",1e4],gram:["mass",.001],kilogram:["mass",1],ounce:["mass",.028349523125],pound:["mass",.45359237],stone:["mass",6.35029318],celsius:["temperature",1,273.15],fahrenheit:["temperature",5/9,2298.35/9],milliliter:["volume",1e-6],liter:["volume",.001],"fluid-ounce":["volume",295735295625e-16],gallon:["volume",.003785411784]},compoundUnitCategories={"length-per-duration":"speed"},unitScales=[["byte","kilobyte","megabyte","gigabyte","terabyte","petabyte"],["bit","kilobit","megabit","gigabit","terabit"],["millimeter","centimeter","meter","kilometer"],["gram","kilogram"],["milliliter","liter"],["nanosecond","microsecond","millisecond","second","minute","hour","day"]],msRegions={metric:"001",ussystem:"US",uksystem:"GB"},regionMeasurementSystems={GB:"uksystem",LR:"ussystem",MM:"uksystem",US:"ussystem"},unitPreferences={"001":{area:{default:[["hectare",1]],land:[["hectare",1]]},duration:{default:[["day",1],["hour",1],["minute",1],["second",1],["millisecond",1],["microsecond",1],["nanosecond",1]],media:[["minute",1],["second",1]]},length:{default:[["kilometer",1],["meter",1],["centimeter",1]],"focal-length":[["millimeter",1]],person:[["centimeter",1]],"person-height":[["centimeter",1]],rainfall:[["millimeter",1]],road:[["kilometer",.9],["meter",1]],snowfall:[["centimeter",1]],vehicle:[["meter",1]],visiblty:[["kilometer",.1],["meter",1]]},mass:{default:[["kilogram",1],["gram",1]],person:[["kilogram",1],["gram",1]]},speed:{default:[["kilometer-per-hour",1]],rainfall:[["millimeter-per-hour",1]],snowfall:[["centimeter-per-hour",1]],wind:[["kilometer-per-hour",1]]},temperature:{default:[["celsius",1]],weather:[["celsius",1]]},volume:{fluid:[["liter",1],["milliliter",1]],vehicle:[["liter",1]]},"year-duration":{default:[["year",1],["month",1]]}},AT:{length:{"person-height":[["meter",1]]}},BE:{length:{"person-height":[["meter",1]]}},BR:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]},length:{rainfall:[["centimeter",1]]},speed:{rainfall:[["centimeter-per-hour",1]]}},BS:{temperature:{weather:[["fahrenheit",1]]}},BZ:{temperature:{weather:[["fahrenheit",1]]}},CA:{length:{person:[["inch",1]],"person-height":[["foot",3],["inch",1]]}},CN:{speed:{wind:[["meter-per-second",1]]}},DE:{length:{visiblty:[["meter",1]]}},DK:{speed:{wind:[["meter-per-second",1]]}},DZ:{length:{"person-height":[["meter",1]]}},EG:{length:{"person-height":[["meter",1]]}},ES:{length:{"person-height":[["meter",1]]}},FI:{speed:{wind:[["meter-per-second",1]]}},FR:{length:{"person-height":[["meter",1]]}},GB:{area:{default:[["acre",1]],land:[["acre",1]]},length:{default:[["mile",1],["foot",1],["inch",1]],person:[["inch",1]],"person-height":[["foot",3],["inch",1]],road:[["mile",.5],["yard",1]],vehicle:[["foot",1]],visiblty:[["mile",1],["foot",1]]},mass:{default:[["pound",1],["ounce",1]],person:[["stone",1],["pound",1]]},speed:{default:[["mile-per-hour",1]],wind:[["mile-per-hour",1]]}},HK:{length:{"person-height":[["meter",1]]},mass:{person:[["pound",1]]}},ID:{length:{"person-height":[["meter",1]]}},IL:{length:{"person-height":[["meter",1]]}},IN:{length:{person:[["inch",1]],"person-height":[["foot",3],["inch",1]]}},IT:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]},length:{"person-height":[["meter",1]]}},JO:{length:{"person-height":[["meter",1]]}},JP:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]},speed:{wind:[["meter-per-second",1]]}},KR:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]},speed:{wind:[["meter-per-second",1]]}},KY:{temperature:{weather:[["fahrenheit",1]]}},MX:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]}},MY:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]},length:{"person-height":[["meter",1]]}},NL:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]},length:{visiblty:[["meter",1]]}},NO:{speed:{wind:[["meter-per-second",1]]}},PL:{speed:{wind:[["meter-per-second",1]]}},PR:{temperature:{weather:[["fahrenheit",1]]}},PW:{temperature:{weather:[["fahrenheit",1]]}},RU:{speed:{wind:[["meter-per-second",1]]}},SA:{length:{"person-height":[["meter",1]]}},SE:{length:{"person-height":[["meter",1]],road:[["mile-scandinavian",1],["kilometer",1],["meter",1]]},speed:{wind:[["meter-per-second",1]]}},TH:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]}},TR:{consumption:{"vehicle-fuel":[["liter-per-kilometer",1]]},length:{"person-height":[["meter",1]]}},US:{area:{default:[["acre",1]],land:[["acre",1]]},consumption:{"vehicle-fuel":[["mile-per-gallon",1]]},length:{default:[["mile",1],["foot",1],["inch",1]],person:[["inch",1]],"person-height":[["foot",3],["inch",1]],rainfall:[["inch",1]],road:[["mile",.5],["foot",1]],snowfall:[["inch",1]],vehicle:[["foot",1]],visiblty:[["mile",1],["foot",1]]},mass:{default:[["pound",1],["ounce",1]],person:[["pound",1]]},speed:{default:[["mile-per-hour",1]],rainfall:[["inch-per-hour",1]],snowfall:[["inch-per-hour",1]],wind:[["mile-per-hour",1]]},temperature:{default:[["fahrenheit",1]],weather:[["fahrenheit",1]]},volume:{fluid:[["gallon",1],["fluid-ounce",1]],vehicle:[["gallon",1]]}},VN:{length:{"person-height":[["meter",1]]}}};function getUnitConversion(unit){var num,idx;return hop.call(unitConversions,unit)?unitConversions[unit]:(num=-1<(idx=unit.indexOf("-per-"))&&unitConversions[unit.slice(0,idx)],unit=-1<idx&&unitConversions[unit.slice(idx+5)],(idx=num&&unit&&compoundUnitCategories[num[0]+"-per-"+unit[0]])?[idx,num[1]/unit[1]]:void 0)}var numSys={arab:["\u0660","\u0661","\u0662","\u0663","\u0664","\u0665","\u0666","\u0667","\u0668","\u0669"],arabext:["\u06f0","\u06f1","\u06f2","\u06f3","\u06f4","\u06f5","\u06f6","\u06f7","\u06f8","\u06f9"],bali:["\u1b50","\u1b51","\u1b52","\u1b53","\u1b54","\u1b55","\u1b56","\u1b57","\u1b58","\u1b59"],beng:["\u09e6","\u09e7","\u09e8","\u09e9","\u09ea","\u09eb","\u09ec","\u09ed","\u09ee","\u09ef"],deva:["\u0966","\u0967","\u0968","\u0969","\u096a","\u096b","\u096c","\u096d","\u096e","\u096f"],fullwide:["\uff10","\uff11","\uff12","\uff13","\uff14","\uff15","\uff16","\uff17","\uff18","\uff19"],gujr:["\u0ae6","\u0ae7","\u0ae8","\u0ae9","\u0aea","\u0aeb","\u0aec","\u0aed","\u0aee","\u0aef"],guru:["\u0a66","\u0a67","\u0a68","\u0a69","\u0a6a","\u0a6b","\u0a6c","\u0a6d","\u0a6e","\u0a6f"],hanidec:["\u3007","\u4e00","\u4e8c","\u4e09","\u56db","\u4e94","\u516d","\u4e03","\u516b","\u4e5d"],khmr:["\u17e0","\u17e1","\u17e2","\u17e3","\u17e4","\u17e5","\u17e6","\u17e7","\u17e8","\u17e9"],knda:["\u0ce6","\u0ce7","\u0ce8","\u0ce9","\u0cea","\u0ceb","\u0cec","\u0ced","\u0cee","\u0cef"],laoo:["\u0ed0","\u0ed1","\u0ed2","\u0ed3","\u0ed4","\u0ed5","\u0ed6","\u0ed7","\u0ed8","\u0ed9"],latn:["0","1","2","3","4","5","6","7","8","9"],limb:["\u1946","\u1947","\u1948","\u1949","\u194a","\u194b","\u194c","\u194d","\u194e","\u194f"],mlym:["\u0d66","\u0d67","\u0d68","\u0d69","\u0d6a","\u0d6b","\u0d6c","\u0d6d","\u0d6e","\u0d6f"],mong:["\u1810","\u1811","\u1812","\u1813","\u1814","\u1815","\u1816","\u1817","\u1818","\u1819"],mymr:["\u1040","\u1041","\u1042","\u1043","\u1044","\u1045","\u1046","\u1047","\u1048","\u1049"],orya:["\u0b66","\u0b67","\u0b68","\u0b69","\u0b6a","\u0b6b","\u0b6c","\u0b6d","\u0b6e","\u0b6f"],tamldec:["\u0be6","\u0be7","\u0be8","\u0be9","\u0bea","\u0beb","\u0bec","\u0bed","\u0bee","\u0bef"],telu:["\u0c66","\u0c67","\u0c68","\u0c69","\u0c6a","\u0c6b","\u0c6c","\u0c6d","\u0c6e","\u0c6f"],thai:["\u0e50","\u0e51","\u0e52","\u0e53","\u0e54","\u0e55","\u0e56","\u0e57","\u0e58","\u0e59"],tibt:["\u0f20","\u0f21","\u0f22","\u0f23","\u0f24","\u0f25","\u0f26","\u0f27","\u0f28","\u0f29"]},algNumSys={armn:function(n){return 0<n&&n<1e4?toAdditive(n,[["\u0531","\u0532","\u0533","\u0534","\u0535","\u0536","\u0537","\u0538","\u0539"],["\u053a","\u053b","\u053c","\u053d","\u053e","\u053f","\u0540","\u0541","\u0542"],["\u0543","\u0544","\u0545","\u0546","\u0547","\u0548","\u0549","\u054a","\u054b"],["\u054c","\u054d","\u054e","\u054f","\u0550","\u0551","\u0552","\u0553","\u0554"]]):void 0},ethi:function(n){if(0<n&&n<1e8){for(var ones=["","\u1369","\u136a","\u136b","\u136c","\u136d","\u136e","\u136f","\u1370","\u1371"],tens=["","\u1372","\u1373","\u1374","\u1375","\u1376","\u1377","\u1378","\u1379","\u137a"],pairs=[],ret="";0<n;n=Math.floor(n/100))arrPush.call(pairs,n%100);for(var i=pairs.length-1;0<=i;i--){var v=pairs[i];(1<v||1===v&&(0===i||i%2==0&&i<pairs.length-1))&&(ret+=tens[Math.floor(v/10)]+ones[v%10]),i%2==1&&0<v?ret+="\u137b":2===i&&(0<v||0<pairs[3])&&(ret+="\u137c")}return ret}},geor:function(n){return 0<n&&n<2e4?toAdditive(n,[["\u10d0","\u10d1","\u10d2","\u10d3","\u10d4","\u10d5","\u10d6","\u10f1","\u10d7"],["\u10d8","\u10d9","\u10da","\u10db","\u10dc","\u10f2","\u10dd","\u10de","\u10df"],["\u10e0","\u10e1","\u10e2","\u10f3","\u10e4","\u10e5","\u10e6","\u10e7","\u10e8"],["\u10e9","\u10ea","\u10eb","\u10ec","\u10ed","\u10ee","\u10f4","\u10ef","\u10f0"],["\u10f5"]]):void 0},grek:function(n){return 0<n&&n<1e4?toAdditive(n,[["\u0391","\u0392","\u0393","\u0394","\u0395","\u03da","\u0396","\u0397","\u0398"],["\u0399","\u039a","\u039b","\u039c","\u039d","\u039e","\u039f","\u03a0","\u03de"],["\u03a1","\u03a3","\u03a4","\u03a5","\u03a6","\u03a7","\u03a8","\u03a9","\u03e0"],["\u0375\u0391","\u0375\u0392","\u0375\u0393","\u0375\u0394","\u0375\u0395","\u0375\u03da","\u0375\u0396","\u0375\u0397","\u0375\u0398"]])+"\u0374":void 0},hans:function(n){return toCJK(n,cjkNumSys.hans)},hansfin:function(n){return toCJK(n,cjkNumSys.hansfin)},hant:function(n){return toCJK(n,cjkNumSys.hant)},hantfin:function(n){return toCJK(n,cjkNumSys.hantfin)},hebr:function(n){var rest;if(0<n&&n<1e6)return rest=n%1e3,n=(n=Math.floor(n/1e3))?toHebrew(n)+"\u05f3":"",rest&&(n+=1===(rest=toHebrew(rest)).length?rest+"\u05f3":rest.slice(0,-1)+"\u05f4"+rest.slice(-1)),n},jpan:function(n){return toCJK(n,cjkNumSys.jpan)},jpanfin:function(n){return toCJK(n,cjkNumSys.jpanfin)},roman:function(n){return 0<n&&n<4e3?toAdditive(n,[["I","II","III","IV","V","VI","VII","VIII","IX"],["X","XX","XXX","XL","L","LX","LXX","LXXX","XC"],["C","CC","CCC","CD","D","DC","DCC","DCCC","CM"],["M","MM","MMM"]]):void 0}};function toAdditive(n,symbols){for(var ret="",i=0;0<n;i++,n=Math.floor(n/10))n%10&&(ret=symbols[i][n%10-1]+ret);return ret}var cjkNumSys={hans:{digits:["\u96f6","\u4e00","\u4e8c","\u4e09","\u56db","\u4e94","\u516d","\u4e03","\u516b","\u4e5d"],units:["","\u5341","\u767e","\u5343"],myriads:["","\u4e07","\u4ebf","\u4e07\u4ebf"],zero:!0,omitOne:"leading"},hansfin:{digits:["\u96f6","\u58f9","\u8d30","\u53c1","\u8086","\u4f0d","\u9646","\u67d2","\u634c","\u7396"],units:["","\u62fe","\u4f70","\u4edf"],myriads:["","\u4e07","\u4ebf","\u4e07\u4ebf"],zero:!0},hant:{digits:["\u96f6","\u4e00","\u4e8c","\u4e09","\u56db","\u4e94","\u516d","\u4e03","\u516b","\u4e5d"],units:["","\u5341","\u767e","\u5343"],myriads:["","\u842c","\u5104","\u842c\u5104"],zero:!0,omitOne:"leading"},hantfin:{digits:["\u96f6","\u58f9","\u8cb3","\u53c3","\u8086","\u4f0d","\u9678","\u67d2","\u634c","\u7396"],units:["","\u62fe","\u4f70","\u4edf"],myriads:["","\u842c","\u5104","\u842c\u5104"],zero:!0},jpan:{digits:["\u3007","\u4e00","\u4e8c","\u4e09","\u56db","\u4e94","\u516d","\u4e03","\u516b","\u4e5d"],units:["","\u5341","\u767e","\u5343"],myriads:["","\u4e07","\u5104","\u5146"],zero:!1,omitOne:"all"},jpanfin:{digits:["\u96f6","\u58f1","\u5f10","\u53c2","\u56db","\u4e94","\u516d","\u4e03","\u516b","\u4e5d"],units:["","\u62fe","\u767e","\u5343"],myriads:["","\u4e07","\u5104","\u5146"],zero:!1}};function toCJK(n,sys){if(0<=n&&n<1e16){if(0===n)return sys.digits[0];for(var str=String(n),ret="",zero=!1,myriad=!1,i=0,max=str.length;i<max;i++){var d=+str.charAt(i),pos=max-i-1,unit=pos%4,pos=(pos-unit)/4;0==d?zero=""!==ret:(zero&&sys.zero&&(ret+=sys.digits[0]),1==d&&0<unit&&("leading"===sys.omitOne&&1==unit&&""===ret||"all"===sys.omitOne&&!(3==unit&&0<pos))?ret+=sys.units[unit]:ret+=sys.digits[d]+sys.units[unit],myriad=!(zero=!1)),0==unit&&myriad&&(ret+=sys.myriads[pos],myriad=!1)}return ret}}function toHebrew(n){for(var ret="",hundreds=Math.floor(n/100),n=n%100;4<=hundreds;hundreds-=4)ret+="\u05ea";return hundreds&&(ret+=["\u05e7","\u05e8","\u05e9"][hundreds-1]),15==n||16==n?ret+"\u05d8"+(15==n?"\u05d5":"\u05d6"):ret+toAdditive(n,[["\u05d0","\u05d1","\u05d2","\u05d3","\u05d4","\u05d5","\u05d6","\u05d7","\u05d8"],["\u05d9","\u05db","\u05dc","\u05de","\u05e0","\u05e1","\u05e2","\u05e4","\u05e6"]])}function DateTimeFormatConstructor(){var locales=arguments[0],options=arguments[1];return this&&this!==Intl?InitializeDateTimeFormat(toObject(this),locales,options):new Intl.DateTimeFormat(locales,options)}function InitializeDateTimeFormat(dateTimeFormat,locales,options){var internal=getInternalProperties(dateTimeFormat),regexpState=createRegExpRestore();if(!0===internal["[[initializedIntlObject]]"])throw new TypeError("`this` object has already been initialized as an Intl object");defineProperty(dateTimeFormat,"__getInternalProperties",{value:function(){if(arguments[0]===secret)return internal}}),internal["[[initializedIntlObject]]"]=!0;var value,locales=CanonicalizeLocaleList(locales),options=ToDateTimeOptions(options,"any","date"),opt=new Record,matcher=GetOption(options,"localeMatcher","string",new List("lookup","best fit"),"best fit"),matcher=(opt["[[localeMatcher]]"]=matcher,internals.DateTimeFormat),localeData=matcher["[[localeData]]"],locales=ResolveLocale(matcher["[[availableLocales]]"],locales,opt,matcher["[[relevantExtensionKeys]]"],localeData),matcher=(internal["[[locale]]"]=locales["[[locale]]"],internal["[[calendar]]"]=locales["[[ca]]"],internal["[[numberingSystem]]"]=locales["[[nu]]"],internal["[[dataLocale]]"]=locales["[[dataLocale]]"],locales["[[dataLocale]]"]),locales=options.timeZone;if(void 0!==locales){if(locales=String(locales),"UTC"!==(timeZone=toLatinUpperCase(timeZone=locales))&&!hop.call(tzNames,timeZone))throw new RangeError("'"+locales+"' is not a supported time zone.");locales=function(timeZone){return void 0===(timeZone=tzNames[toLatinUpperCase(timeZone)])||"Etc/UTC"===timeZone||"Etc/GMT"===timeZone?"UTC":timeZone}(locales)}for(prop in internal["[[timeZone]]"]=locales,opt=new Record,dateTimeComponents)hop.call(dateTimeComponents,prop)&&(value=GetOption(options,prop,"string",dateTimeComponents[prop]),opt["[["+prop+"]]"]=value);var prop,p,timeZone=localeData[matcher],locales=timeZone.formats,bestFormat=(GetOption(options,"formatMatcher","string",new List("basic","best fit"),"best fit"),BasicFormatMatcher(opt,locales));for(prop in dateTimeComponents)hop.call(dateTimeComponents,prop)&&hop.call(bestFormat,prop)&&(p=bestFormat[prop],internal["[["+prop+"]]"]=p);var matcher,localeData=GetOption(options,"hour12","boolean");return locales=internal["[[hour]]"]&&(localeData=void 0===localeData?timeZone.hour12:localeData,!0===(internal["[[hour12]]"]=localeData))?(matcher=timeZone.hourNo0,internal["[[hourNo0]]"]=matcher,bestFormat.pattern12):bestFormat.pattern,internal["[[pattern]]"]=locales,internal["[[boundFormat]]"]=void 0,internal["[[initializedDateTimeFormat]]"]=!0,regexpState.exp.test(regexpState.input),dateTimeFormat}defineProperty(Intl.NumberFormat.prototype,"resolvedOptions",{configurable:!0,writable:!0,value:function(){var prop,descs=new Record,props=["locale","numberingSystem","style","currency","currencyDisplay","currencySign","currencyUsage","unit","unitDisplay","usage","minimumIntegerDigits","minimumFractionDigits","maximumFractionDigits","minimumSignificantDigits","maximumSignificantDigits","useGrouping","notation","compactDisplay","signDisplay","roundingMode","roundingIncrement","trailingZeroDisplay"],internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedNumberFormat]]"])throw new TypeError("`this` value for resolvedOptions() is not an initialized Intl.NumberFormat object.");for(var i=0,max=props.length;i<max;i++)hop.call(internal,prop="[["+props[i]+"]]")&&(descs[props[i]]={value:internal[prop],writable:!0,configurable:!0,enumerable:!0});return objCreate({},descs)}}),defineProperty(Intl,"DateTimeFormat",{configurable:!0,writable:!0,value:DateTimeFormatConstructor}),defineProperty(DateTimeFormatConstructor,"prototype",{writable:!1});var dateTimeComponents={weekday:["narrow","short","long"],era:["narrow","short","long"],year:["2-digit","numeric"],month:["2-digit","numeric","narrow","short","long"],day:["2-digit","numeric"],hour:["2-digit","numeric"],minute:["2-digit","numeric"],second:["2-digit","numeric"],timeZoneName:["short","long"]};function ToDateTimeOptions(options,required,defaults){options=void 0===options?null:new Record(toObject(options));var options=objCreate(options),needDefaults=!0;return"date"!==required&&"any"!==required||void 0===options.weekday&&void 0===options.year&&void 0===options.month&&void 0===options.day||(needDefaults=!1),!(needDefaults="time"!==required&&"any"!==required||void 0===options.hour&&void 0===options.minute&&void 0===options.second?needDefaults:!1)||"date"!==defaults&&"all"!==defaults||(options.year=options.month=options.day="numeric"),!needDefaults||"time"!==defaults&&"all"!==defaults||(options.hour=options.minute=options.second="numeric"),options}function BasicFormatMatcher(options,formats){for(var bestFormat,bestScore=-1/0,i=0,len=formats.length;i<len;){var property,optionsProp,values,formatProp,format=formats[i],score=0;for(property in dateTimeComponents)hop.call(dateTimeComponents,property)&&(optionsProp=options["[["+property+"]]"],formatProp=hop.call(format,property)?format[property]:void 0,void 0===optionsProp&&void 0!==formatProp?score-=20:void 0!==optionsProp&&void 0===formatProp?score-=120:(optionsProp=arrIndexOf.call(values=["2-digit","numeric","narrow","short","long"],optionsProp),values=arrIndexOf.call(values,formatProp),2===(formatProp=Math.max(Math.min(values-optionsProp,2),-2))?score-=6:1===formatProp?score-=3:-1===formatProp?score-=6:-2===formatProp&&(score-=8)));bestScore<score&&(bestScore=score,bestFormat=format),i++}return bestFormat}function FormatDateTime(dateTimeFormat,x){for(var parts=PartitionDateTimePattern(dateTimeFormat,x),result="",i=0,max=parts.length;i<max;i++)result+=parts[i]["[[value]]"];return result}function PartitionDateTimePattern(dateTimeFormat,x){if(!isFinite(x))throw new RangeError("Invalid valid date passed to format");var p,internal=dateTimeFormat.__getInternalProperties(secret),dateTimeFormat=createRegExpRestore(),locale=internal["[[locale]]"],nf=new Intl.NumberFormat([locale],{useGrouping:!1}),nf2=new Intl.NumberFormat([locale],{minimumIntegerDigits:2,useGrouping:!1}),tm=function(date,timeZone){var d,inDST,offset,get="get";void 0===timeZone?(d=new Date(date),inDST=function(d){var y=d.getFullYear(),jan=new Date(y,0,1).getTimezoneOffset(),y=new Date(y,6,1).getTimezoneOffset();return jan!==y&&d.getTimezoneOffset()<Math.max(jan,y)}(d),offset=60*-d.getTimezoneOffset()):(timeZone=function(timeZone,date){var zone=hop.call(tzData,timeZone)?tzData[timeZone]:void 0;if(void 0===zone)return{offset:0,dst:!1,abbr:"UTC"};"string"==typeof zone&&(zone=tzData[timeZone]=function(packed){for(var parts=packed.split("|"),types=parts[0].split(" "),times=parts[2]?parts[2].split(" "):[],rules=parts[3]?parts[3].split(" "):[],zone={periods:[],indices:[],untils:[]},width=(types.length-1).toString(36).length,i=0,max=types.length;i<max;i++){var type=types[i].split(":");arrPush.call(zone.periods,{abbr:type[0],offset:parseInt(type[1],36),dst:"1"===type[2]})}for(i=0,max=parts[1].length;i<max;i+=width)arrPush.call(zone.indices,parseInt(parts[1].slice(i,i+width),36));for(var i=0,t=0,max=times.length;i<max;i++)arrPush.call(zone.untils,t+=parseInt(times[i],36));if(rules.length){zone.stdoff=parseInt(rules[0],36),zone.rules=[];for(i=1,max=rules.length;i<max;i++){var rule=rules[i].split(":"),day=/^(?:l(\d)|(\d)([<>])(\d+)|(\d+))$/.exec(rule[1]);arrPush.call(zone.rules,{month:+rule[0],on:day[1]?"l":day[3]||"",weekday:+(day[1]||day[2]||0),day:+(day[4]||day[5]||0),time:parseInt(rule[2].slice(0,-1),36),type:rule[2].slice(-1),period:parseInt(rule[3],36)})}}return zone}(zone));var secs=Math.floor(date/1e3),untils=zone.untils,lo=0,hi=untils.length;for(;lo<hi;){var mid=lo+hi>>1;untils[mid]<=secs?lo=1+mid:hi=mid}return lo===untils.length&&zone.rules?zone.periods[function(zone,secs){for(var rules=zone.rules,year=new Date(1e3*secs).getUTCFullYear(),ret=zone.indices[zone.indices.length-1],last=-1/0,y=year-1;y<=year+1;y++)for(var i=0,max=rules.length;i<max;i++){var rule=rules[i],at=Date.UTC(y,rule.month,function(year,rule){var day=rule.day;{if("l"===rule.on)return(day=new Date(Date.UTC(year,rule.month+1,0)).getUTCDate())-(new Date(Date.UTC(year,rule.month,day)).getUTCDay()-rule.weekday+7)%7;if(">"===rule.on)return day+(rule.weekday-new Date(Date.UTC(year,rule.month,day)).getUTCDay()+7)%7;if("<"===rule.on)return day-(new Date(Date.UTC(year,rule.month,day)).getUTCDay()-rule.weekday+7)%7}return day}(y,rule))/1e3+rule.time;"w"===rule.type?at-=zone.periods[rules[(i||max)-1].period].offset:"s"===rule.type&&(at-=zone.stdoff),at<=secs&&last<at&&(last=at,ret=rule.period)}return ret}(zone,secs)]:zone.periods[zone.indices[lo]]}(timeZone,date),d=new Date(date+1e3*timeZone.offset),inDST=timeZone.dst,offset=timeZone.offset,get="getUTC");return date=d[get+"FullYear"](),new Record({"[[weekday]]":d[get+"Day"](),"[[era]]":0<date?1:0,"[[year]]":date,"[[month]]":d[get+"Month"](),"[[day]]":d[get+"Date"](),"[[hour]]":d[get+"Hours"](),"[[minute]]":d[get+"Minutes"](),"[[second]]":d[get+"Seconds"](),"[[inDST]]":inDST,"[[timeZoneOffset]]":offset})}(x,(internal["[[calendar]]"],internal["[[timeZone]]"])),pattern=internal["[[pattern]]"],values=objCreate(null),dataLocale=internal["[[dataLocale]]"],localeData=internals.DateTimeFormat["[[localeData]]"][dataLocale].calendars,ca=internal["[[calendar]]"],zoneNames=internals.DateTimeFormat["[[localeData]]"][dataLocale].timeZoneNames||{};for(p in dateTimeComponents)if(hop.call(internal,"[["+p+"]]")){var pm,fv,f=internal["[["+p+"]]"],v=tm["[["+p+"]]"];if("year"===p&&v<=0?v=1-v:"month"===p?v++:"hour"===p&&!0===internal["[[hour12]]"]&&(pm=(v%=12)!==tm["[["+p+"]]"],0===v)&&!0===internal["[[hourNo0]]"]&&(v=12),"numeric"===f)fv=FormatNumber(nf,v);else if("2-digit"===f)hop.call(algNumSys,internal["[[numberingSystem]]"])&&(v%=100),2<toCodePoints(fv=FormatNumber(nf2,v)).length&&!hop.call(algNumSys,internal["[[numberingSystem]]"])&&(fv=arrJoin.call(toCodePoints(fv).slice(-2),""));else if(f in dateWidths)switch(p){case"month":fv=resolveDateString(localeData,ca,"months",f,tm["[["+p+"]]"]);break;case"weekday":try{fv=resolveDateString(localeData,ca,"days",f,tm["[["+p+"]]"])}catch(e){throw new Error("Could not find weekday data for locale "+locale)}break;case"timeZoneName":fv=function(data,timeZone,width,date,tm,nf,nf2){var type=tm["[[inDST]]"]?"daylight":"standard",date="UTC"===timeZone?void 0:function(timeZone,date){if(hop.call(tzMetazones,timeZone))for(var secs=Math.floor(date/1e3),list=tzMetazones[timeZone].split(" "),i=0,max=list.length;i<max;i++){var mz=list[i].split(":");if((!mz[1]||parseInt(mz[1],36)<=secs)&&(!mz[2]||secs<parseInt(mz[2],36)))return mz[0]}}(timeZone,date),timeZone="UTC"===timeZone?"Etc/UTC":timeZone;if(timeZone&&data.zones&&hop.call(data.zones,timeZone)&&(names=data.zones[timeZone][width])&&names[type])return names[type];if(date&&data.metazones&&hop.call(data.metazones,date)&&(names=data.metazones[date][width])&&names[type])return names[type];var timeZone=tm["[[timeZoneOffset]]"],date=Math.abs(timeZone),hours=Math.floor(date/3600),names=Math.floor(date%3600/60),type=(data.hourFormat||"+HH:mm;-HH:mm").split(";")[timeZone<0?1:0];if(!timeZone)return data.gmtZeroFormat||"GMT";type="short"===width?(type=type.replace(/H+/,FormatNumber(nf,hours)),names?type.replace(/m+/,FormatNumber(nf2,names)):type.replace(/[:.]?m+/,"")):type.replace(/H+/,function($0){return FormatNumber(1<$0.length?nf2:nf,hours)}).replace(/m+/,FormatNumber(nf2,names));return(data.gmtFormat||"GMT{0}").replace("{0}",type)}(zoneNames,internal["[[timeZone]]"],f,x,tm,nf,nf2);break;case"era":try{fv=resolveDateString(localeData,ca,"eras",f,tm["[["+p+"]]"])}catch(e){throw new Error("Could not find era data for locale "+locale)}break;default:fv=tm["[["+p+"]]"]}values[p]=fv}!0===internal["[[hour12]]"]&&(fv=resolveDateString(localeData,ca,"dayPeriods",pm?"pm":"am"),values.ampm=fv);for(var match,result=new List,expPlaceholder=/\{(\w+)\}/g,lastIndex=0;null!==(match=expPlaceholder.exec(pattern));)match.index>lastIndex&&arrPush.call(result,{"[[type]]":"literal","[[value]]":pattern.slice(lastIndex,match.index)}),lastIndex=expPlaceholder.lastIndex,match[1]in values?arrPush.call(result,{"[[type]]":"ampm"===match[1]?"dayPeriod":match[1],"[[value]]":values[match[1]]}):arrPush.call(result,{"[[type]]":"literal","[[value]]":match[0]});return lastIndex<pattern.length&&arrPush.call(result,{"[[type]]":"literal","[[value]]":pattern.slice(lastIndex)}),dateTimeFormat.exp.test(dateTimeFormat.input),result}function supportedLocalesOf(locales){var regexpState,options,availableLocales;if(hop.call(this,"[[availableLocales]]"))return regexpState=createRegExpRestore(),options=arguments[1],availableLocales=this["[[availableLocales]]"],locales=CanonicalizeLocaleList(locales),regexpState.exp.test(regexpState.input),SupportedLocales(availableLocales,locales,options);throw new TypeError("supportedLocalesOf() is not a constructor")}function resolveDateString(data,ca,component,width,key){ca=(data[ca]&&data[ca][component]?data[ca]:data.gregory)[component],data={narrow:["short","long"],short:["long","narrow"],long:["short","narrow"]},component=hop.call(ca,width)?ca[width]:hop.call(ca,data[width][0])?ca[data[width][0]]:ca[data[width][1]];return null!=key?component[key]:component}function Record(obj){for(var k in obj)(obj instanceof Record||hop.call(obj,k))&&defineProperty(this,k,{value:obj[k],enumerable:!0,writable:!0,configurable:!0})}function List(){defineProperty(this,"length",{writable:!0,value:0}),arguments.length&&arrPush.apply(this,arrSlice.call(arguments))}function createRegExpRestore(){for(var lm=RegExp.lastMatch,ret={input:RegExp.input},esc=/[.?*+^$[\]\\(){}|-]/g,reg=new List,cap={},i=1;i<=9;i++)cap["$"+i]=RegExp["$"+i];for(i=1;i<=9;i++){var m=cap["$"+i],lm=m?lm.replace(m,"("+m.replace(esc,"\\$0")+")"):"()"+lm;arrPush.call(reg,lm.slice(0,lm.indexOf("(")+1)),lm=lm.slice(lm.indexOf("(")+1)}return ret.exp=new RegExp(arrJoin.call(reg,"")+lm,RegExp.multiline?"m":""),ret}function toLatinUpperCase(str){for(var i=str.length;i--;){var ch=str.charAt(i);"a"<=ch&&ch<="z"&&(str=str.slice(0,i)+ch.toUpperCase()+str.slice(i+1))}return str}function toObject(arg){if(null==arg)throw new TypeError("Cannot convert null or undefined to object");return Object(arg)}function getInternalProperties(obj){return hop.call(obj,"__getInternalProperties")?obj.__getInternalProperties(secret):objCreate(null)}return internals.DateTimeFormat={"[[availableLocales]]":[],"[[relevantExtensionKeys]]":["ca","nu"],"[[localeData]]":{}},defineProperty(Intl.DateTimeFormat,"supportedLocalesOf",{configurable:!0,writable:!0,value:fnBind.call(supportedLocalesOf,internals.DateTimeFormat)}),defineProperty(Intl.DateTimeFormat.prototype,"format",{configurable:!0,get:function(){var bf,internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(internal&&internal["[[initializedDateTimeFormat]]"])return void 0===internal["[[boundFormat]]"]&&(bf=fnBind.call(function(){return FormatDateTime(this,Number(0===arguments.length?Date.now():arguments[0]))},this),internal["[[boundFormat]]"]=bf),internal["[[boundFormat]]"];throw new TypeError("`this` value for format() is not an initialized Intl.DateTimeFormat object.")}}),defineProperty(Intl.DateTimeFormat.prototype,"formatToParts",{configurable:!0,writable:!0,value:function(){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedDateTimeFormat]]"])throw new TypeError("`this` value for formatToParts() is not an initialized Intl.DateTimeFormat object.");for(var parts=PartitionDateTimePattern(this,Number(0===arguments.length||void 0===arguments[0]?Date.now():arguments[0])),result=[],i=0,max=parts.length;i<max;i++)arrPush.call(result,{type:parts[i]["[[type]]"],value:parts[i]["[[value]]"]});return result}}),defineProperty(Intl.DateTimeFormat.prototype,"resolvedOptions",{writable:!0,configurable:!0,value:function(){var prop,descs=new Record,props=["locale","calendar","numberingSystem","timeZone","hour12","weekday","era","year","month","day","hour","minute","second","timeZoneName","pattern"],internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedDateTimeFormat]]"])throw new TypeError("`this` value for resolvedOptions() is not an initialized Intl.DateTimeFormat object.");for(var i=0,max=props.length;i<max;i++)hop.call(internal,prop="[["+props[i]+"]]")&&(descs[props[i]]={value:internal[prop],writable:!0,configurable:!0,enumerable:!0});return objCreate({},descs)}}),defineProperty(Intl,"PluralRules",{configurable:!0,writable:!0,value:function PluralRulesConstructor(){var locales=arguments[0],options=arguments[1];if(this instanceof PluralRulesConstructor)return function(pluralRules,locales,options){var internal=getInternalProperties(pluralRules),regexpState=createRegExpRestore();if(!0===internal["[[initializedIntlObject]]"])throw new TypeError("`this` object has already been initialized as an Intl object");defineProperty(pluralRules,"__getInternalProperties",{value:function(){if(arguments[0]===secret)return internal}}),internal["[[initializedIntlObject]]"]=!0;var locales=CanonicalizeLocaleList(locales),opt=(options=void 0===options?{}:toObject(options),new Record),matcher=GetOption(options,"localeMatcher","string",new List("lookup","best fit"),"best fit"),matcher=(opt["[[localeMatcher]]"]=matcher,GetOption(options,"type","string",new List("cardinal","ordinal"),"cardinal")),matcher=(internal["[[type]]"]=matcher,SetNumberFormatDigitOptions(internal,options,0,3),internals.PluralRules["[[localeData]]"]),options=ResolveLocale(internals.PluralRules["[[availableLocales]]"],locales,opt,internals.PluralRules["[[relevantExtensionKeys]]"],matcher);return internal["[[locale]]"]=options["[[locale]]"],internal["[[dataLocale]]"]=options["[[dataLocale]]"],internal["[[initializedPluralRules]]"]=!0,regexpState.exp.test(regexpState.input),pluralRules}(toObject(this),locales,options);throw new TypeError("Intl.PluralRules must be called with `new`")}}),defineProperty(Intl.PluralRules,"prototype",{writable:!1}),internals.PluralRules={"[[availableLocales]]":[],"[[relevantExtensionKeys]]":[],"[[localeData]]":{}},defineProperty(Intl.PluralRules,"supportedLocalesOf",{configurable:!0,writable:!0,value:fnBind.call(supportedLocalesOf,internals.PluralRules)}),defineProperty(Intl.PluralRules.prototype,"select",{configurable:!0,writable:!0,value:function(value){var internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(internal&&internal["[[initializedPluralRules]]"])return function(pluralRules,n){var regexpState=createRegExpRestore(),pluralRules=getInternalProperties(pluralRules);if(!isFinite(n))return"other";var locale=pluralRules["[[dataLocale]]"],type=pluralRules["[[type]]"],locale=internals.PluralRules["[[localeData]]"][locale];n=hop.call(pluralRules,"[[minimumSignificantDigits]]")?ToRawPrecision(Math.abs(n),pluralRules["[[minimumSignificantDigits]]"],pluralRules["[[maximumSignificantDigits]]"]):ToRawFixed(Math.abs(n),pluralRules["[[minimumIntegerDigits]]"],pluralRules["[[minimumFractionDigits]]"],pluralRules["[[maximumFractionDigits]]"]);pluralRules=getPluralCategory(locale[type],String(n),0);return regexpState.exp.test(regexpState.input),pluralRules}(this,Number(value));throw new TypeError("`this` value for select() is not an initialized Intl.PluralRules object.")}}),defineProperty(Intl.PluralRules.prototype,"resolvedOptions",{configurable:!0,writable:!0,value:function(){var prop,descs=new Record,props=["locale","type","minimumIntegerDigits","minimumFractionDigits","maximumFractionDigits","minimumSignificantDigits","maximumSignificantDigits"],internal=null!=this&&"object"==typeof this&&getInternalProperties(this);if(!internal||!internal["[[initializedPluralRules]]"])throw new TypeError("`this` value for resolvedOptions() is not an initialized Intl.PluralRules object.");for(var i=0,max=props.length;i<max;i++)hop.call(internal,prop="[["+props[i]+"]]")&&(descs[props[i]]={value:internal[prop],writable:!0,configurable:!0,enumerable:!0});for(var rules=internals.PluralRules["[[localeData]]"][internal["[[dataLocale]]"]][internal["[[type]]"]]||{},categories=[],i=0,max=pluralCategories.length;i<max;i++)hop.call(rules,pluralCategories[i])&&arrPush.call(categories,pluralCategories[i]);return arrPush.call(categories,"other"),descs.pluralCategories={value:categories,writable:!0,configurable:!0,enumerable:!0},objCreate({},descs)}}),defineProperty(Number.prototype,"toLocaleString",{writable:!0,configurable:!0,value:function(){if("[object Number]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a number for Number.prototype.toLocaleString()");return FormatNumber(new NumberFormatConstructor(arguments[0],arguments[1]),this)}}),defineProperty(Date.prototype,"toLocaleString",{writable:!0,configurable:!0,value:function(){if("[object Date]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a Date instance for Date.prototype.toLocaleString()");var x=+this;return isNaN(x)?"Invalid Date":FormatDateTime(new DateTimeFormatConstructor(arguments[0],ToDateTimeOptions(arguments[1],"any","all")),x)}}),defineProperty(Date.prototype,"toLocaleDateString",{writable:!0,configurable:!0,value:function(){if("[object Date]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a Date instance for Date.prototype.toLocaleDateString()");var x=+this;return isNaN(x)?"Invalid Date":FormatDateTime(new DateTimeFormatConstructor(arguments[0],ToDateTimeOptions(arguments[1],"date","date")),x)}}),defineProperty(Date.prototype,"toLocaleTimeString",{writable:!0,configurable:!0,value:function(){if("[object Date]"!==Object.prototype.toString.call(this))throw new TypeError("`this` value must be a Date instance for Date.prototype.toLocaleTimeString()");var x=+this;return isNaN(x)?"Invalid Date":FormatDateTime(new DateTimeFormatConstructor(arguments[0],ToDateTimeOptions(arguments[1],"time","time")),x)}}),defineProperty(Intl,"__addLocaleData",{value:function(data){if(!IsStructurallyValidLanguageTag(data.locale))throw new Error("Object passed doesn't identify itself with a valid language tag");if(!data.number)throw new Error("Object passed doesn't contain locale data for Intl.NumberFormat");var locale,k,locales=[data.locale],parts=data.locale.split("-");{var region;data.number.region||(region=/-([A-Z]{2}|\d{3})(?:-|$)/.exec(data.locale),data.number.region=region?region[1]:"001")}if(!data.number.ms){var sys,ms=regionMeasurementSystems[data.number.region]||"metric";for(sys in data.number.ms=[ms],msRegions)hop.call(msRegions,sys)&&sys!==ms&&arrPush.call(data.number.ms,sys)}for(k in algNumSys)hop.call(algNumSys,k)&&-1===arrIndexOf.call(data.number.nu,k)&&arrPush.call(data.number.nu,k);2<parts.length&&4==parts[1].length&&arrPush.call(locales,parts[0]+"-"+parts[2]);for(;locale=arrShift.call(locales);)arrPush.call(internals.NumberFormat["[[availableLocales]]"],locale),internals.NumberFormat["[[localeData]]"][locale]=data.number,arrPush.call(internals.PluralRules["[[availableLocales]]"],locale),internals.PluralRules["[[localeData]]"][locale]=data.number.plurals||{},data.date&&(data.date.nu=data.number.nu,data.date.nuKeywords=data.number.nuKeywords,arrPush.call(internals.DateTimeFormat["[[availableLocales]]"],locale),internals.DateTimeFormat["[[localeData]]"][locale]=data.date);void 0===defaultLocale&&(defaultLocale=data.locale);numberFormatProtoInitialised||(InitializeNumberFormat(Intl.NumberFormat.prototype),numberFormatProtoInitialised=!0);data.date&&!dateTimeFormatProtoInitialised&&(InitializeDateTimeFormat(Intl.DateTimeFormat.prototype),dateTimeFormatProtoInitialised=!0)}}),defineProperty(Intl,"__addTimeZoneData",{value:function(data){if(!data||"object"!=typeof data.zones)throw new Error("Object passed doesn't contain any time zone data");for(var k in data.zones)hop.call(data.zones,k)&&(tzData[k]=data.zones[k],tzNames[toLatinUpperCase(k)]=k);for(var k in data.links)hop.call(data.links,k)&&hop.call(tzData,data.links[k])&&(tzNames[toLatinUpperCase(k)]=data.links[k]);for(var k in data.metazones)hop.call(data.metazones,k)&&(tzMetazones[k]=data.metazones[k])}}),"undefined"!=typeof window&&(window.IntlLocaleData=internals),Record.prototype=objCreate(null),List.prototype=objCreate(null),Intl}({});
\ No newline at end of file